@@ -4,13 +4,24 @@
 // ============================================================================
 
 // ===== IMPORTS =====
-import { eventSource, event_types, saveSettingsDebounced, chat_metadata, name2, systemUserName, neutralCharacterName, characters } from '../../../../script.js';
-import { extension_settings, saveMetadataDebounced, getContext } from '../../../extensions.js';
+import { eventSource, event_types, saveSettingsDebounced, chat_metadata, name1, name2, systemUserName, neutralCharacterName, characters } from '../../../../script.js';
+import { extension_settings, saveMetadataDebounced, getContext, writeExtensionField } from '../../../extensions.js';
 import { Popup, POPUP_TYPE, POPUP_RESULT, callGenericPopup } from '../../../popup.js';
 import { lodash, Handlebars } from '../../../../lib.js';
 import { selected_group, groups, editGroup } from '../../../group-chats.js';
 import { executeSlashCommandsWithOptions } from '../../../slash-commands.js';
+import { SlashCommandParser } from '../../../slash-commands/SlashCommandParser.js';
+import { SlashCommand } from '../../../slash-commands/SlashCommand.js';
+import { ARGUMENT_TYPE, SlashCommandArgument, SlashCommandNamedArgument } from '../../../slash-commands/SlashCommandArgument.js';
+import { SlashCommandEnumValue } from '../../../slash-commands/SlashCommandEnumValue.js';
+import { SlashCommandClosure } from '../../../slash-commands/SlashCommandClosure.js';
 import { oai_settings, promptManager, getChatCompletionModel } from '../../../openai.js';
+import { power_user } from '../../../power-user.js';
+import { user_avatar } from '../../../personas.js';
+import { tags, tag_map } from '../../../tags.js';
+import { MacrosParser } from '../../../macros.js';
+import { selected_world_info, world_names } from '../../../world-info.js';
+import { isTrueBoolean } from '../../../utils.js';
 import { MigrationManager } from './migration.js';
 import { injectPromptTemplateManagerButton } from './promptManager.js';
 
@@ -19,6 +30,8 @@ import { injectPromptTemplateManagerButton } from './promptManager.js';
 const MODULE_NAME = 'STGL';
 const CACHE_TTL = 1000;
 const MAX_CONTEXT_QUEUE_SIZE = 20;
+const CHAT_INHERITED_KEY = 'STGL_inheritedFrom'; // chat_metadata marker: the chat a lock was inherited from
+const CARD_EXTENSION_KEY = 'stgl'; // Character card data.extensions key: { lock, templates }
 const DEBUG_MODE = false;
 
 const CHAT_TYPES = {
@@ -31,9 +44,108 @@ const SETTING_SOURCES = {
     MODEL: 'model',
     CHAT: 'chat',
     GROUP: 'group',
-    INDIVIDUAL: 'individual'
+    INDIVIDUAL: 'individual',
+    PERSONA: 'persona',
+    TAG: 'tag',
+    RULE: 'rule',
+    SOURCE: 'source',
+    CONNECTION: 'connection',
+    PRESET: 'preset',
+    GENERATION: 'generation',
+    PHASE: 'phase',
+    DEFAULT: 'default'
+};
+
+// Generation types passed to GENERATION_STARTED that can carry their own locks
+const GENERATION_TYPES = {
+    NORMAL: 'normal',
+    SWIPE: 'swipe',
+    CONTINUE: 'continue',
+    IMPERSONATE: 'impersonate',
+    QUIET: 'quiet',
+    REGENERATE: 'regenerate'
+};
+
+// Dimensions the user can order in the priority selects (first = highest priority).
+// Character means Group in group chats; Individual (the drafted group member) only applies in group chats.
+const PRIORITY_SOURCES = [
+    SETTING_SOURCES.GENERATION,
+    SETTING_SOURCES.RULE,
+    SETTING_SOURCES.MODEL,
+    SETTING_SOURCES.SOURCE,
+    SETTING_SOURCES.CONNECTION,
+    SETTING_SOURCES.CHAT,
+    SETTING_SOURCES.INDIVIDUAL,
+    SETTING_SOURCES.CHARACTER,
+    SETTING_SOURCES.TAG,
+    SETTING_SOURCES.PERSONA,
+    // Phases apply to every chat, so any lock scoped to a character, tag or persona wins by default
+    SETTING_SOURCES.PHASE,
+    SETTING_SOURCES.PRESET
+];
+
+// Dimensions addressable from slash commands and the public API.
+// 'character' is Character/Group (Group in group chats); 'group' requires a group chat.
+// 'tag' needs a tag name or ID: 'tag:<name>'. 'model:<pattern>' addresses a model pattern lock.
+// 'generation' needs a generation type: 'generation:<type>'.
+const LOCK_TARGET_DIMENSIONS = ['character', 'group', 'chat', 'model', 'source', 'connection', 'preset', 'persona', 'tag', 'generation', 'default'];
+
+// Dimensions that older settings lack and that must keep their place relative to another one.
+// Individual always overrode the group lock before it had its own slot.
+const PRIORITY_INSERT_BEFORE = {
+    [SETTING_SOURCES.INDIVIDUAL]: SETTING_SOURCES.CHARACTER
 };
 
+/**
+ * Normalize a stored priority order: drop unknown/duplicate entries and insert
+ * dimensions missing from older settings right after their default predecessor
+ * (or right before their PRIORITY_INSERT_BEFORE anchor)
+ * @param {Array} order
+ * @returns {string[]} Full priority order over PRIORITY_SOURCES
+ */
+function normalizePriorityOrder(order) {
+    const result = [];
+    for (const source of Array.isArray(order) ? order : []) {
+        if (PRIORITY_SOURCES.includes(source) && !result.includes(source)) {
+            result.push(source);
+        }
+    }
+    for (const [source, anchor] of Object.entries(PRIORITY_INSERT_BEFORE)) {
+        if (!result.includes(source) && result.includes(anchor)) {
+            result.splice(result.indexOf(anchor), 0, source);
+        }
+    }
+    PRIORITY_SOURCES.forEach((source, index) => {
+        if (result.includes(source)) return;
+        const predecessor = PRIORITY_SOURCES.slice(0, index).reverse().find(s => result.includes(s));
+        result.splice(predecessor ? result.indexOf(predecessor) + 1 : 0, 0, source);
+    });
+    return result;
+}
+
+/**
+ * Whether an order is a full permutation of PRIORITY_SOURCES (what the UI and API accept)
+ * @param {*} order
+ * @returns {boolean}
+ */
+function isValidPriorityOrder(order) {
+    return Array.isArray(order)
+        && order.length === PRIORITY_SOURCES.length
+        && new Set(order).size === PRIORITY_SOURCES.length
+        && order.every(source => PRIORITY_SOURCES.includes(source));
+}
+
+/**
+ * Priority order for one item: its own order when set, otherwise the shared priorityOrder
+ * @param {Object} preferences
+ * @param {string|null} itemName - LOCKABLE_ITEMS value, or null for the shared order
+ * @returns {string[]} Normalized order
+ */
+function getItemPriorityOrder(preferences, itemName = null) {
+    const own = itemName ? preferences?.priorityOrders?.[itemName] : null;
+    return normalizePriorityOrder(Array.isArray(own) ? own : preferences?.priorityOrder);
+}
+
 const AUTO_APPLY_MODES = {
     NEVER: 'never',
     ASK: 'ask',
@@ -43,24 +155,113 @@ const AUTO_APPLY_MODES = {
 const LOCKABLE_ITEMS = {
     PROFILE: 'profile',
     PRESET: 'preset',
-    TEMPLATE: 'template'
+    TEMPLATE: 'template',
+    PARAMETERS: 'parameters', // Partial oai_settings map applied on top of the preset
+    WORLD_INFO: 'worldinfo',  // Names of the globally active lorebooks; [] means none
+    PERSONA: 'persona',       // User persona avatar ID
+    QUICK_REPLIES: 'qrsets'   // Names of the globally enabled Quick Reply sets; [] means none
+};
+
+// Display names for items whose key doesn't read well on its own
+const LOCKABLE_ITEM_LABELS = {
+    [LOCKABLE_ITEMS.WORLD_INFO]: 'World Info',
+    [LOCKABLE_ITEMS.QUICK_REPLIES]: 'Quick Reply Sets'
 };
 
+// Items whose values only exist on this install (persona avatar IDs, connection profile names);
+// they are never written into or adopted from character cards
+const CARD_EXCLUDED_ITEMS = [LOCKABLE_ITEMS.PROFILE, LOCKABLE_ITEMS.PERSONA];
+
+/**
+ * A lock with every item empty
+ * @returns {Object} { profile: null, preset: null, template: null, ... }
+ */
+function createEmptyLocks() {
+    return Object.fromEntries(Object.values(LOCKABLE_ITEMS).map(item => [item, null]));
+}
+
+// Dimensions that may only lock some items: a lock on the item a dimension is keyed by would switch the key itself
+const DIMENSION_ITEMS = {
+    [SETTING_SOURCES.MODEL]: [LOCKABLE_ITEMS.PRESET, LOCKABLE_ITEMS.PARAMETERS, LOCKABLE_ITEMS.TEMPLATE],
+    [SETTING_SOURCES.SOURCE]: [LOCKABLE_ITEMS.PRESET, LOCKABLE_ITEMS.PARAMETERS, LOCKABLE_ITEMS.TEMPLATE],
+    [SETTING_SOURCES.CONNECTION]: [LOCKABLE_ITEMS.PRESET, LOCKABLE_ITEMS.PARAMETERS, LOCKABLE_ITEMS.TEMPLATE],
+    [SETTING_SOURCES.PRESET]: [LOCKABLE_ITEMS.TEMPLATE],
+    // Phases follow the story, not the connection
+    [SETTING_SOURCES.PHASE]: [LOCKABLE_ITEMS.PRESET, LOCKABLE_ITEMS.PARAMETERS, LOCKABLE_ITEMS.TEMPLATE, LOCKABLE_ITEMS.WORLD_INFO, LOCKABLE_ITEMS.QUICK_REPLIES],
+    [SETTING_SOURCES.PERSONA]: [LOCKABLE_ITEMS.PROFILE, LOCKABLE_ITEMS.PRESET, LOCKABLE_ITEMS.PARAMETERS, LOCKABLE_ITEMS.TEMPLATE, LOCKABLE_ITEMS.WORLD_INFO, LOCKABLE_ITEMS.QUICK_REPLIES]
+};
+
+/**
+ * Whether a dimension can lock an item
+ * @param {string} dimension - SETTING_SOURCES value
+ * @param {string} itemName - LOCKABLE_ITEMS value
+ * @returns {boolean}
+ */
+function dimensionLocksItem(dimension, itemName) {
+    return !DIMENSION_ITEMS[dimension] || DIMENSION_ITEMS[dimension].includes(itemName);
+}
+
+/**
+ * UI hint naming the dimensions that can't lock an item
+ * @param {string} itemName - LOCKABLE_ITEMS value
+ * @returns {string} e.g. "Not available for Model, Source and Preset locks." or '' when every dimension can
+ */
+function describeUnavailableDimensions(itemName) {
+    const labels = Object.keys(DIMENSION_ITEMS)
+        .filter(dimension => !dimensionLocksItem(dimension, itemName))
+        .map(dimension => formatSourceLabel(dimension, false));
+    if (!labels.length) return '';
+    const list = labels.length > 1 ? `${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]}` : labels[0];
+    return `Not available for ${list} locks.`;
+}
+
+/**
+ * Drop the items a dimension can't lock (stored as null)
+ * @param {string} dimension - SETTING_SOURCES value
+ * @param {Object} locks
+ * @returns {Object}
+ */
+function restrictLocksToDimension(dimension, locks) {
+    return Object.fromEntries(Object.entries(locks).map(([item, value]) => [item, dimensionLocksItem(dimension, item) ? value : null]));
+}
+
 const DEFAULT_SETTINGS = {
     moduleSettings: {
         preferIndividualCharacterInGroup: true,
         showNotifications: true,
         autoApplyOnContextChange: AUTO_APPLY_MODES.ASK,
         autoApplyOnGenerationStart: AUTO_APPLY_MODES.ASK,
+        // Copy the previous chat's lock into a branch of it / a new chat of the same character or group
+        inheritChatLockOnBranch: true,
+        inheritChatLockOnNewChat: false,
+        // Also write character locks (and the templates they use) into the character card
+        embedLocksInCards: false,
         // Priority order: first in array wins (highest priority)
-        // Default: MODEL > CHAT > CHARACTER/GROUP
-        priorityOrder: [SETTING_SOURCES.MODEL, SETTING_SOURCES.CHAT, SETTING_SOURCES.CHARACTER]
+        // Default: GENERATION > RULE > MODEL > SOURCE > CONNECTION > CHAT > INDIVIDUAL > CHARACTER/GROUP > TAG > PERSONA > PHASE > PRESET
+        priorityOrder: [...PRIORITY_SOURCES],
+        // Optional per-item orders { profile, preset, template, parameters }; a missing item uses priorityOrder
+        priorityOrders: {},
+        // Tag precedence when a character has several tagged locks: first tag ID wins;
+        // tags not listed follow in name order
+        tagPriority: []
     },
     characterLocks: {},  // { [chId]: { profile, preset, template } }
     defaultSingleCharacterLock: null, // Fallback for single chats without a stable character identity
-    modelLocks: {},      // { [model]: { preset, template } } - NO profile field
+    modelLocks: {},      // { [model | glob | /regex/]: { preset, template } } - NO profile field; any source
+    sourceModelLocks: {}, // { [completionSource]: { [model]: { preset, template } } } - checked before modelLocks
+    sourceLocks: {},     // { [completionSource]: { preset, template } } - NO profile field
+    connectionLocks: {}, // { [connectionProfileName]: { preset, template } } - NO profile field
+    presetLocks: {},     // { [presetName]: { template } } - template coupled to a preset
+    generationLocks: {}, // { [generationType]: { profile, preset, template } } - only during that generation
+    phases: [],          // [{ id, name, fromMessage, locks: { preset, template } }] - by chat length, any chat
     chatLocks: {},       // Will use chat_metadata.STGL { profile, preset, template }
     groupLocks: {},      // Will use group.stgl_locks { profile, preset, template }
+    personaLocks: {},    // { [personaAvatarId]: { profile, preset, template } }
+    tagLocks: {},        // { [tagId]: { profile, preset, template } }
+    rules: [],           // [{ id, name, enabled, conditions, locks }] - first matching rule wins per item
+    defaultLock: null,   // { profile, preset, template } - global fallback, always last in the cascade
+    cardLockPrompts: [], // Avatars already offered the locks embedded in their card
+    parameterBaseline: {}, // { [field]: value } - preset values of the parameters STGL currently overrides
     templates: {},       // Template definitions
     migrationVersion: 1
 };
@@ -69,6 +270,28 @@ const SELECTORS = {
     menuItem: '#stgl-menu-item'
 };
 
+// Custom events emitted on ST's eventSource for other extensions
+const STGL_EVENTS = {
+    LOCKS_RESOLVED: 'stgl_locks_resolved',   // { context, locks, sources, conflicts }
+    LOCKS_APPLIED: 'stgl_locks_applied',     // { context, locks, sources, items, success, changed }
+    LOCK_SAVED: 'stgl_lock_saved',           // { dimension, key, locks }
+    LOCK_CLEARED: 'stgl_lock_cleared',       // { dimension, key }
+    TEMPLATE_APPLIED: 'stgl_template_applied' // { templateId, templateName, contextId, success }
+};
+
+/**
+ * Emit an STGL event without blocking the caller; listener errors are logged only
+ */
+function emitStglEvent(eventName, payload) {
+    try {
+        Promise.resolve(eventSource?.emit(eventName, payload)).catch(error => {
+            console.warn(`STGL: Listener error for ${eventName}:`, error);
+        });
+    } catch (error) {
+        console.warn(`STGL: Failed to emit ${eventName}:`, error);
+    }
+}
+
 // ============================================================================
 // SECTION 1: CORE CLASSES (Shared Infrastructure)
 // ============================================================================
@@ -81,6 +304,8 @@ class ChatContext {
     constructor() {
         this.cache = new Map();
         this.cacheTime = 0;
+        this.speaker = null; // { groupId, chId } - last drafted group member
+        this.generationType = null; // Type of the running generation, null between generations
     }
 
     getCurrent() {
@@ -109,19 +334,38 @@ class ChatContext {
         this.cacheTime = 0;
     }
 
+    /**
+     * Remember the drafted group member for the Individual dimension
+     * @param {number} chId - Character index, -1 to forget
+     */
+    setSpeaker(chId) {
+        this.speaker = chId >= 0 && selected_group ? { groupId: selected_group, chId } : null;
+        this.invalidate();
+    }
+
+    /**
+     * Remember the type of the running generation for the Generation dimension
+     * @param {string|null} type - GENERATION_STARTED type, null once it ended
+     */
+    setGenerationType(type) {
+        this.generationType = type || null;
+        this.invalidate();
+    }
+
     _buildContext() {
         const isGroupChat = !!selected_group;
-
-        if (isGroupChat) {
-            return this._buildGroupContext();
-        } else {
-            return this._buildSingleContext();
-        }
+        const context = isGroupChat ? this._buildGroupContext() : this._buildSingleContext();
+        context.generationType = this.generationType;
+        context.messageCount = this._getMessageCount();
+        return context;
     }
 
     _buildGroupContext() {
         const groupId = selected_group;
         const group = groups?.find(x => x.id === groupId);
+        const members = Array.isArray(group?.members) ? group.members : [];
+        // A speaker drafted in another group is stale
+        const speakerChId = this.speaker?.groupId === groupId ? this.speaker.chId : -1;
 
         return {
             type: CHAT_TYPES.GROUP,
@@ -132,6 +376,15 @@ class ChatContext {
             chatName: group?.name || null,
             characterName: group?.name || null,
             modelName: this._getCurrentModel(),
+            ...this._getCurrentPersona(),
+            tagIds: this._getTagIds(groupId),
+            completionSource: this._getCompletionSource(),
+            connectionProfile: new ProfileLocker().getCurrentProfile(),
+            presetName: new PresetLocker().getCurrentPreset(),
+            groupSize: members.length,
+            memberNames: members.map(avatar => characters?.find(x => x.avatar === avatar)?.name).filter(Boolean),
+            speakerChId,
+            speakerName: speakerChId !== -1 ? characters?.[speakerChId]?.name || null : null,
             primaryId: groupId,
             secondaryId: group?.chat_id
         };
@@ -150,6 +403,15 @@ class ChatContext {
             chatName: chatId,
             characterName,
             modelName: this._getCurrentModel(),
+            ...this._getCurrentPersona(),
+            tagIds: this._getTagIds(this._getCurrentCharacterAvatar()),
+            completionSource: this._getCompletionSource(),
+            connectionProfile: new ProfileLocker().getCurrentProfile(),
+            presetName: new PresetLocker().getCurrentPreset(),
+            groupSize: 1,
+            memberNames: [],
+            speakerChId: -1,
+            speakerName: null,
             primaryId: characterName,
             secondaryId: chatId
         };
@@ -203,11 +465,67 @@ class ChatContext {
             return null;
         }
     }
+
+    _getMessageCount() {
+        try {
+            const chat = getContext()?.chat;
+            return Array.isArray(chat) ? chat.filter(message => message && !message.is_system).length : 0;
+        } catch (error) {
+            if (DEBUG_MODE) console.warn('STGL: Error counting chat messages:', error);
+            return 0;
+        }
+    }
+
+    _getCompletionSource() {
+        try {
+            return oai_settings?.chat_completion_source || null;
+        } catch (error) {
+            if (DEBUG_MODE) console.warn('STGL: Error getting chat completion source:', error);
+            return null;
+        }
+    }
+
+    _getCurrentCharacterAvatar() {
+        try {
+            const chId = getContext()?.characterId;
+            return chId !== undefined && chId !== null ? characters?.[chId]?.avatar || null : null;
+        } catch (error) {
+            if (DEBUG_MODE) console.warn('STGL: Error getting character avatar:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Tag IDs assigned to a character (by avatar) or group (by ID)
+     */
+    _getTagIds(entityKey) {
+        if (!entityKey) return [];
+        try {
+            const tagIds = tag_map?.[entityKey];
+            return Array.isArray(tagIds) ? [...tagIds] : [];
+        } catch (error) {
+            if (DEBUG_MODE) console.warn('STGL: Error getting tags:', error);
+            return [];
+        }
+    }
+
+    _getCurrentPersona() {
+        try {
+            const personaId = user_avatar || null;
+            return {
+                personaId,
+                personaName: (personaId && power_user?.personas?.[personaId]) || name1 || null
+            };
+        } catch (error) {
+            if (DEBUG_MODE) console.warn('STGL: Error getting current persona:', error);
+            return { personaId: null, personaName: null };
+        }
+    }
 }
 
 /**
  * Centralized storage operations for all lock types
- * Handles multi-item locks: { profile, preset, template }
+ * Handles multi-item locks: { profile, preset, template, parameters }
  */
 class StorageAdapter {
     constructor() {
@@ -286,6 +604,7 @@ class StorageAdapter {
 
         if (DEBUG_MODE) console.log('STGL: Character lock saved for key:', saveKey, locks);
         this.saveExtensionSettings();
+        this._emitLockEvent(STGL_EVENTS.LOCK_SAVED, SETTING_SOURCES.CHARACTER, saveKey, locks);
         return true;
     }
 
@@ -317,10 +636,50 @@ class StorageAdapter {
             }
         }
 
-        if (cleared) this.saveExtensionSettings();
+        if (cleared) {
+            this.saveExtensionSettings();
+            this._emitLockEvent(STGL_EVENTS.LOCK_CLEARED, SETTING_SOURCES.CHARACTER, typeof characterKey === 'number' ? String(characterKey) : this._normalizeCharacterName(characterKey));
+        }
         return cleared;
     }
 
+    // ===== CARD LOCKS =====
+
+    /**
+     * Get the lock embedded in a character card
+     * @returns {Object|null} { lock, templates }
+     */
+    getCardLock(chId) {
+        const payload = characters?.[chId]?.data?.extensions?.[CARD_EXTENSION_KEY];
+        return payload && typeof payload === 'object' && payload.lock ? payload : null;
+    }
+
+    /**
+     * Write a lock and copies of the templates it references into the character card
+     * @param {number} chId - Character index
+     * @param {Object|null} locks - null removes the embedded lock
+     */
+    async setCardLock(chId, locks) {
+        if (!characters?.[chId]) return false;
+        const template = locks?.template ? this.getTemplate(locks.template) : null;
+        const payload = locks ? { lock: { ...locks }, templates: template ? [lodash.cloneDeep(template)] : [] } : null;
+        await writeExtensionField(chId, CARD_EXTENSION_KEY, payload);
+        return true;
+    }
+
+    isCardLockPrompted(avatar) {
+        return (this.getExtensionSettings().cardLockPrompts || []).includes(avatar);
+    }
+
+    markCardLockPrompted(avatar) {
+        const settings = this.getExtensionSettings();
+        if (!Array.isArray(settings.cardLockPrompts)) settings.cardLockPrompts = [];
+        if (!settings.cardLockPrompts.includes(avatar)) {
+            settings.cardLockPrompts.push(avatar);
+            this.saveExtensionSettings();
+        }
+    }
+
     getDefaultSingleCharacterLock() {
         const settings = this.getExtensionSettings();
         return settings.defaultSingleCharacterLock || null;
@@ -330,6 +689,7 @@ class StorageAdapter {
         const settings = this.getExtensionSettings();
         settings.defaultSingleCharacterLock = locks;
         this.saveExtensionSettings();
+        this._emitLockEvent(STGL_EVENTS.LOCK_SAVED, SETTING_SOURCES.CHARACTER, null, locks);
         return true;
     }
 
@@ -341,37 +701,298 @@ class StorageAdapter {
 
         settings.defaultSingleCharacterLock = null;
         this.saveExtensionSettings();
+        this._emitLockEvent(STGL_EVENTS.LOCK_CLEARED, SETTING_SOURCES.CHARACTER, null);
+        return true;
+    }
+
+    // ===== CONNECTION PROFILE LOCKS =====
+
+    getConnectionLock(profileName) {
+        if (!profileName) return null;
+        const settings = this.getExtensionSettings();
+        return settings.connectionLocks?.[profileName] || null;
+    }
+
+    setConnectionLock(profileName, locks) {
+        if (!profileName) return false;
+        const settings = this.getExtensionSettings();
+        if (!settings.connectionLocks) settings.connectionLocks = {};
+        settings.connectionLocks[profileName] = locks;
+        this.saveExtensionSettings();
+        this._emitLockEvent(STGL_EVENTS.LOCK_SAVED, SETTING_SOURCES.CONNECTION, profileName, locks);
+        return true;
+    }
+
+    clearConnectionLock(profileName) {
+        if (!profileName) return false;
+        const settings = this.getExtensionSettings();
+        if (settings.connectionLocks?.[profileName]) {
+            delete settings.connectionLocks[profileName];
+            this.saveExtensionSettings();
+            this._emitLockEvent(STGL_EVENTS.LOCK_CLEARED, SETTING_SOURCES.CONNECTION, profileName);
+            return true;
+        }
+        return false;
+    }
+
+    // ===== PRESET-COUPLED TEMPLATE LOCKS =====
+
+    getPresetLock(presetName) {
+        if (!presetName) return null;
+        const settings = this.getExtensionSettings();
+        return settings.presetLocks?.[presetName] || null;
+    }
+
+    setPresetLock(presetName, locks) {
+        if (!presetName) return false;
+        const settings = this.getExtensionSettings();
+        if (!settings.presetLocks) settings.presetLocks = {};
+        settings.presetLocks[presetName] = locks;
+        this.saveExtensionSettings();
+        this._emitLockEvent(STGL_EVENTS.LOCK_SAVED, SETTING_SOURCES.PRESET, presetName, locks);
+        return true;
+    }
+
+    clearPresetLock(presetName) {
+        if (!presetName) return false;
+        const settings = this.getExtensionSettings();
+        if (settings.presetLocks?.[presetName]) {
+            delete settings.presetLocks[presetName];
+            this.saveExtensionSettings();
+            this._emitLockEvent(STGL_EVENTS.LOCK_CLEARED, SETTING_SOURCES.PRESET, presetName);
+            return true;
+        }
+        return false;
+    }
+
+    // ===== GENERATION TYPE LOCKS =====
+
+    getGenerationLock(generationType) {
+        if (!generationType) return null;
+        const settings = this.getExtensionSettings();
+        return settings.generationLocks?.[generationType] || null;
+    }
+
+    setGenerationLock(generationType, locks) {
+        if (!generationType) return false;
+        const settings = this.getExtensionSettings();
+        if (!settings.generationLocks) settings.generationLocks = {};
+        settings.generationLocks[generationType] = locks;
+        this.saveExtensionSettings();
+        this._emitLockEvent(STGL_EVENTS.LOCK_SAVED, SETTING_SOURCES.GENERATION, generationType, locks);
+        return true;
+    }
+
+    clearGenerationLock(generationType) {
+        if (!generationType) return false;
+        const settings = this.getExtensionSettings();
+        if (settings.generationLocks?.[generationType]) {
+            delete settings.generationLocks[generationType];
+            this.saveExtensionSettings();
+            this._emitLockEvent(STGL_EVENTS.LOCK_CLEARED, SETTING_SOURCES.GENERATION, generationType);
+            return true;
+        }
+        return false;
+    }
+
+    // ===== GLOBAL DEFAULT LOCK =====
+
+    getDefaultLock() {
+        const settings = this.getExtensionSettings();
+        return settings.defaultLock || null;
+    }
+
+    // ===== PARAMETER BASELINE =====
+    // Overrides are saved into oai_settings like manual edits, so what they replaced must survive a reload too
+
+    getParameterBaseline() {
+        const settings = this.getExtensionSettings();
+        return settings.parameterBaseline || {};
+    }
+
+    setParameterBaseline(baseline) {
+        const settings = this.getExtensionSettings();
+        settings.parameterBaseline = baseline;
+        this.saveExtensionSettings();
+    }
+
+    setDefaultLock(locks) {
+        const settings = this.getExtensionSettings();
+        settings.defaultLock = locks;
+        this.saveExtensionSettings();
+        this._emitLockEvent(STGL_EVENTS.LOCK_SAVED, SETTING_SOURCES.DEFAULT, null, locks);
+        return true;
+    }
+
+    clearDefaultLock() {
+        const settings = this.getExtensionSettings();
+        if (!settings.defaultLock) {
+            return false;
+        }
+
+        settings.defaultLock = null;
+        this.saveExtensionSettings();
+        this._emitLockEvent(STGL_EVENTS.LOCK_CLEARED, SETTING_SOURCES.DEFAULT, null);
         return true;
     }
 
     // ===== MODEL LOCKS =====
 
-    getModelLock(modelName) {
+    /**
+     * Model locks are stored per chat completion source when one is given, otherwise for any source
+     * @private
+     */
+    _getModelLockMap(source, create = false) {
+        const settings = this.getExtensionSettings();
+        if (!source) {
+            if (!settings.modelLocks && create) settings.modelLocks = {};
+            return settings.modelLocks || null;
+        }
+        if (!settings.sourceModelLocks && create) settings.sourceModelLocks = {};
+        if (!settings.sourceModelLocks?.[source] && create) settings.sourceModelLocks[source] = {};
+        return settings.sourceModelLocks?.[source] || null;
+    }
+
+    getModelLock(modelName, source = null) {
         if (!modelName) return null;
+        return this._getModelLockMap(source)?.[modelName] || null;
+    }
+
+    setModelLock(modelName, locks, source = null) {
+        if (!modelName) return false;
+        this._getModelLockMap(source, true)[modelName] = locks;
+        this.saveExtensionSettings();
+        this._emitLockEvent(STGL_EVENTS.LOCK_SAVED, SETTING_SOURCES.MODEL, source ? `${source}:${modelName}` : modelName, locks);
+        return true;
+    }
+
+    /**
+     * Find the model lock for a model name: the source-qualified locks first, then locks for any source.
+     * Within each, an exact key wins over the most specific matching pattern.
+     * @returns {{ key: string, source: string|null, locks: Object }|null}
+     */
+    findModelLock(modelName, source = null) {
+        if (!modelName) return null;
+        const qualified = source ? ModelKeyOps.findBestMatch(this._getModelLockMap(source) || {}, modelName) : null;
+        if (qualified) return { ...qualified, source };
+        const bare = ModelKeyOps.findBestMatch(this._getModelLockMap(null) || {}, modelName);
+        return bare ? { ...bare, source: null } : null;
+    }
+
+    getModelPatternKeys() {
         const settings = this.getExtensionSettings();
-        return settings.modelLocks?.[modelName] || null;
+        return Object.keys(settings.modelLocks || {})
+            .filter(key => ModelKeyOps.isPattern(key))
+            .sort(ModelKeyOps.compareSpecificity);
     }
 
-    setModelLock(modelName, locks) {
+    clearModelLock(modelName, source = null) {
         if (!modelName) return false;
+        const map = this._getModelLockMap(source);
+        if (map?.[modelName]) {
+            delete map[modelName];
+            this.saveExtensionSettings();
+            this._emitLockEvent(STGL_EVENTS.LOCK_CLEARED, SETTING_SOURCES.MODEL, source ? `${source}:${modelName}` : modelName);
+            return true;
+        }
+        return false;
+    }
+
+    // ===== CHAT COMPLETION SOURCE LOCKS =====
+
+    getSourceLock(source) {
+        if (!source) return null;
+        const settings = this.getExtensionSettings();
+        return settings.sourceLocks?.[source] || null;
+    }
+
+    setSourceLock(source, locks) {
+        if (!source) return false;
         const settings = this.getExtensionSettings();
-        if (!settings.modelLocks) settings.modelLocks = {};
-        settings.modelLocks[modelName] = locks;
+        if (!settings.sourceLocks) settings.sourceLocks = {};
+        settings.sourceLocks[source] = locks;
         this.saveExtensionSettings();
+        this._emitLockEvent(STGL_EVENTS.LOCK_SAVED, SETTING_SOURCES.SOURCE, source, locks);
         return true;
     }
 
-    clearModelLock(modelName) {
-        if (!modelName) return false;
+    clearSourceLock(source) {
+        if (!source) return false;
+        const settings = this.getExtensionSettings();
+        if (settings.sourceLocks?.[source]) {
+            delete settings.sourceLocks[source];
+            this.saveExtensionSettings();
+            this._emitLockEvent(STGL_EVENTS.LOCK_CLEARED, SETTING_SOURCES.SOURCE, source);
+            return true;
+        }
+        return false;
+    }
+
+
+    // ===== PERSONA LOCKS =====
+
+    getPersonaLock(personaId) {
+        if (!personaId) return null;
         const settings = this.getExtensionSettings();
-        if (settings.modelLocks?.[modelName]) {
-            delete settings.modelLocks[modelName];
+        return settings.personaLocks?.[personaId] || null;
+    }
+
+    setPersonaLock(personaId, locks) {
+        if (!personaId) return false;
+        const settings = this.getExtensionSettings();
+        if (!settings.personaLocks) settings.personaLocks = {};
+        settings.personaLocks[personaId] = locks;
+        this.saveExtensionSettings();
+        this._emitLockEvent(STGL_EVENTS.LOCK_SAVED, SETTING_SOURCES.PERSONA, personaId, locks);
+        return true;
+    }
+
+    clearPersonaLock(personaId) {
+        if (!personaId) return false;
+        const settings = this.getExtensionSettings();
+        if (settings.personaLocks?.[personaId]) {
+            delete settings.personaLocks[personaId];
             this.saveExtensionSettings();
+            this._emitLockEvent(STGL_EVENTS.LOCK_CLEARED, SETTING_SOURCES.PERSONA, personaId);
             return true;
         }
         return false;
     }
 
+    // ===== TAG LOCKS =====
+
+    getTagLock(tagId) {
+        if (!tagId) return null;
+        const settings = this.getExtensionSettings();
+        return settings.tagLocks?.[tagId] || null;
+    }
+
+    getAllTagLocks() {
+        const settings = this.getExtensionSettings();
+        return settings.tagLocks || {};
+    }
+
+    setTagLock(tagId, locks) {
+        if (!tagId) return false;
+        const settings = this.getExtensionSettings();
+        if (!settings.tagLocks) settings.tagLocks = {};
+        settings.tagLocks[tagId] = locks;
+        this.saveExtensionSettings();
+        this._emitLockEvent(STGL_EVENTS.LOCK_SAVED, SETTING_SOURCES.TAG, tagId, locks);
+        return true;
+    }
+
+    clearTagLock(tagId) {
+        if (!tagId) return false;
+        const settings = this.getExtensionSettings();
+        if (settings.tagLocks?.[tagId]) {
+            delete settings.tagLocks[tagId];
+            this.saveExtensionSettings();
+            this._emitLockEvent(STGL_EVENTS.LOCK_CLEARED, SETTING_SOURCES.TAG, tagId);
+            return true;
+        }
+        return false;
+    }
 
     // ===== CHAT LOCKS =====
 
@@ -392,6 +1013,7 @@ class StorageAdapter {
             }
             chat_metadata[this.EXTENSION_KEY] = locks;
             saveMetadataDebounced();
+            this._emitLockEvent(STGL_EVENTS.LOCK_SAVED, SETTING_SOURCES.CHAT, getContext()?.chatId ?? null, locks);
             return true;
         } catch (error) {
             console.error('STGL: Error saving chat lock:', error);
@@ -404,6 +1026,7 @@ class StorageAdapter {
             if (chat_metadata?.[this.EXTENSION_KEY]) {
                 delete chat_metadata[this.EXTENSION_KEY];
                 saveMetadataDebounced();
+                this._emitLockEvent(STGL_EVENTS.LOCK_CLEARED, SETTING_SOURCES.CHAT, getContext()?.chatId ?? null);
                 return true;
             }
             return false;
@@ -436,6 +1059,7 @@ class StorageAdapter {
             }
             group.stgl_locks = locks;
             await editGroup(groupId, false, false);
+            this._emitLockEvent(STGL_EVENTS.LOCK_SAVED, SETTING_SOURCES.GROUP, groupId, locks);
             return true;
         } catch (error) {
             console.error('STGL: Error saving group lock:', error);
@@ -450,6 +1074,7 @@ class StorageAdapter {
             if (group?.stgl_locks) {
                 delete group.stgl_locks;
                 await editGroup(groupId, false, false);
+                this._emitLockEvent(STGL_EVENTS.LOCK_CLEARED, SETTING_SOURCES.GROUP, groupId);
                 return true;
             }
             return false;
@@ -459,16 +1084,97 @@ class StorageAdapter {
         }
     }
 
-    // ===== TEMPLATE STORAGE =====
+    // ===== CHAT PHASES =====
 
-    getTemplate(templateId) {
+    getPhases() {
         const settings = this.getExtensionSettings();
-        return settings.templates?.[templateId] || null;
+        return Array.isArray(settings.phases) ? settings.phases : [];
     }
 
-    getAllTemplates() {
-        const settings = this.getExtensionSettings();
-        return settings.templates || {};
+    getPhase(phaseId) {
+        return this.getPhases().find(p => p.id === phaseId) || null;
+    }
+
+    savePhase(phase) {
+        const settings = this.getExtensionSettings();
+        if (!Array.isArray(settings.phases)) settings.phases = [];
+        const index = settings.phases.findIndex(p => p.id === phase.id);
+        if (index === -1) {
+            settings.phases.push(phase);
+        } else {
+            settings.phases[index] = phase;
+        }
+        settings.phases.sort((a, b) => a.fromMessage - b.fromMessage);
+        this.saveExtensionSettings();
+        this._emitLockEvent(STGL_EVENTS.LOCK_SAVED, SETTING_SOURCES.PHASE, phase.id, phase.locks);
+        return true;
+    }
+
+    deletePhase(phaseId) {
+        const settings = this.getExtensionSettings();
+        const phases = this.getPhases();
+        if (!phases.some(p => p.id === phaseId)) return false;
+        settings.phases = phases.filter(p => p.id !== phaseId);
+        this.saveExtensionSettings();
+        this._emitLockEvent(STGL_EVENTS.LOCK_CLEARED, SETTING_SOURCES.PHASE, phaseId);
+        return true;
+    }
+
+    // ===== RULES =====
+
+    getRules() {
+        const settings = this.getExtensionSettings();
+        return Array.isArray(settings.rules) ? settings.rules : [];
+    }
+
+    getRule(ruleId) {
+        return this.getRules().find(r => r.id === ruleId) || null;
+    }
+
+    saveRule(rule) {
+        const settings = this.getExtensionSettings();
+        if (!Array.isArray(settings.rules)) settings.rules = [];
+        const index = settings.rules.findIndex(r => r.id === rule.id);
+        if (index === -1) {
+            settings.rules.push(rule);
+        } else {
+            settings.rules[index] = rule;
+        }
+        this.saveExtensionSettings();
+        this._emitLockEvent(STGL_EVENTS.LOCK_SAVED, SETTING_SOURCES.RULE, rule.id, rule.locks);
+        return true;
+    }
+
+    setRuleOrder(ruleIds) {
+        const settings = this.getExtensionSettings();
+        const rules = this.getRules();
+        settings.rules = [
+            ...ruleIds.map(id => rules.find(r => r.id === id)).filter(Boolean),
+            ...rules.filter(r => !ruleIds.includes(r.id))
+        ];
+        this.saveExtensionSettings();
+    }
+
+    deleteRule(ruleId) {
+        const settings = this.getExtensionSettings();
+        const rules = this.getRules();
+        if (!rules.some(r => r.id === ruleId)) return false;
+        settings.rules = rules.filter(r => r.id !== ruleId);
+        this.saveExtensionSettings();
+        this._emitLockEvent(STGL_EVENTS.LOCK_CLEARED, SETTING_SOURCES.RULE, ruleId);
+        return true;
+    }
+
+    // ===== TEMPLATE STORAGE =====
+
+    getTemplate(templateId) {
+        const settings = this.getExtensionSettings();
+        return settings.templates?.[templateId] || null;
+    }
+
+    getAllTemplates() {
+        const settings = this.getExtensionSettings();
+        return settings.templates || {};
     }
 
     saveTemplate(template) {
@@ -506,6 +1212,18 @@ class StorageAdapter {
 
     // ===== HELPER METHODS =====
 
+    /**
+     * Notify listeners that a stored lock changed
+     * @private
+     */
+    _emitLockEvent(eventName, dimension, key, locks = null) {
+        const payload = { dimension, key };
+        if (eventName === STGL_EVENTS.LOCK_SAVED) {
+            payload.locks = locks ? { ...locks } : null;
+        }
+        emitStglEvent(eventName, payload);
+    }
+
     _normalizeCharacterName(characterName) {
         let normalized = String(characterName).trim();
         if (normalized.normalize) {
@@ -528,24 +1246,21 @@ class PriorityResolver {
      * Resolve locks for current context
      * @param {Object} context - From ChatContext.getCurrent()
      * @param {Object} preferences - User preferences
-     * @returns {Object} { locks: { profile, preset, template }, sources: {...} }
+     * @returns {Object} { locks: { profile, preset, template, parameters }, sources: {...} }
      */
     resolve(context, preferences) {
-        // Build priority cascade based on context and preferences
-        const cascade = this._buildCascade(context, preferences);
-
         if (DEBUG_MODE) {
-            console.log('STGL: Priority cascade:', cascade);
+            console.log('STGL: Priority cascade:', this._buildCascade(context, preferences));
         }
 
-        // Resolve each item independently
+        // Resolve each item independently, each through its own cascade
         const result = {
             locks: {},
             sources: {}
         };
 
-        for (const itemName of [LOCKABLE_ITEMS.PROFILE, LOCKABLE_ITEMS.PRESET, LOCKABLE_ITEMS.TEMPLATE]) {
-            const resolved = this._resolveItem(itemName, cascade, context);
+        for (const itemName of Object.values(LOCKABLE_ITEMS)) {
+            const resolved = this._resolveItem(itemName, this._buildCascade(context, preferences, itemName), context);
             result.locks[itemName] = resolved.value;
             result.sources[itemName] = resolved.source;
         }
@@ -555,26 +1270,29 @@ class PriorityResolver {
 
     /**
      * Build priority cascade array based on context and preferences
-     * Uses priorityOrder array from preferences - first in array wins (highest priority)
+     * Uses the item's priorityOrders entry, else the shared priorityOrder - first in array wins (highest priority)
+     * @param {Object} context
+     * @param {Object} preferences
+     * @param {string|null} [itemName] - Item to build the cascade for; null for the shared order
      * @private
      */
-    _buildCascade(context, preferences) {
-        const {
-            preferIndividualCharacterInGroup,
-            priorityOrder
-        } = preferences;
+    _buildCascade(context, preferences, itemName = null) {
+        const { preferIndividualCharacterInGroup } = preferences;
 
         const { isGroupChat } = context;
 
-        // Validate and normalize priority order; fallback to default if invalid
-        const validSources = new Set([SETTING_SOURCES.CHAT, SETTING_SOURCES.CHARACTER, SETTING_SOURCES.MODEL]);
-        const baseOrder = Array.isArray(priorityOrder) ? priorityOrder.filter(s => validSources.has(s)) : [];
-        const order = baseOrder.length ? baseOrder : [SETTING_SOURCES.MODEL, SETTING_SOURCES.CHAT, SETTING_SOURCES.CHARACTER];
+        // Validate and normalize priority order; missing dimensions fall back to default positions
+        const order = getItemPriorityOrder(preferences, itemName);
 
         const cascade = [];
 
         for (const source of order) {
-            if (source === SETTING_SOURCES.CHARACTER) {
+            if (source === SETTING_SOURCES.INDIVIDUAL) {
+                // Only in groups, and only while individual locks are enabled
+                if (isGroupChat && preferIndividualCharacterInGroup) {
+                    cascade.push(SETTING_SOURCES.INDIVIDUAL);
+                }
+            } else if (source === SETTING_SOURCES.CHARACTER) {
                 if (isGroupChat) {
                     cascade.push(SETTING_SOURCES.GROUP);
                 } else {
@@ -585,6 +1303,9 @@ class PriorityResolver {
             }
         }
 
+        // Global default is not orderable: it only fills items nothing else locked
+        cascade.push(SETTING_SOURCES.DEFAULT);
+
         return cascade;
     }
 
@@ -594,8 +1315,8 @@ class PriorityResolver {
      */
     _resolveItem(itemName, cascade, context) {
         for (const dimension of cascade) {
-            // Special case: Model locks cannot have profile field
-            if (itemName === LOCKABLE_ITEMS.PROFILE && dimension === SETTING_SOURCES.MODEL) {
+            // Special case: Model/Source/Connection locks cannot have profile field, Preset locks only template
+            if (!dimensionLocksItem(dimension, itemName)) {
                 continue;
             }
 
@@ -634,7 +1355,22 @@ class PriorityResolver {
             }
 
             case SETTING_SOURCES.MODEL:
-                return this.storage.getModelLock(context.modelName);
+                return this.storage.findModelLock(context.modelName, context.completionSource)?.locks || null;
+
+            case SETTING_SOURCES.SOURCE:
+                return this.storage.getSourceLock(context.completionSource);
+
+            case SETTING_SOURCES.CONNECTION:
+                return this.storage.getConnectionLock(context.connectionProfile);
+
+            case SETTING_SOURCES.PRESET:
+                return this.storage.getPresetLock(context.presetName);
+
+            case SETTING_SOURCES.GENERATION:
+                return this.storage.getGenerationLock(context.generationType);
+
+            case SETTING_SOURCES.PHASE:
+                return PhaseOps.findActive(this.storage.getPhases(), context.messageCount)?.locks || null;
 
             case SETTING_SOURCES.CHAT:
                 return this.storage.getChatLock();
@@ -642,6 +1378,18 @@ class PriorityResolver {
             case SETTING_SOURCES.GROUP:
                 return this.storage.getGroupLock(context.groupId);
 
+            case SETTING_SOURCES.PERSONA:
+                return this.storage.getPersonaLock(context.personaId);
+
+            case SETTING_SOURCES.TAG:
+                return this._getMergedTagLock(context);
+
+            case SETTING_SOURCES.RULE:
+                return this._getMergedRuleLock(context);
+
+            case SETTING_SOURCES.DEFAULT:
+                return this.storage.getDefaultLock();
+
             case SETTING_SOURCES.INDIVIDUAL:
                 // Individual character in group
                 const speakerChId = this._getCurrentSpeakerChId(context);
@@ -653,6 +1401,53 @@ class PriorityResolver {
         }
     }
 
+    /**
+     * Merge the locks of every tag on the current character/group.
+     * Each item comes from the highest-precedence tag that sets it.
+     * @private
+     */
+    _getMergedTagLock(context) {
+        const tagIds = sortTagIdsByPrecedence(context.tagIds, this.storage.getPreferences().tagPriority);
+        const merged = {};
+        let found = false;
+
+        for (const tagId of tagIds) {
+            const lock = this.storage.getTagLock(tagId);
+            if (!lock) continue;
+            found = true;
+            for (const item of Object.values(LOCKABLE_ITEMS)) {
+                if ((merged[item] === null || merged[item] === undefined) && lock[item] !== null && lock[item] !== undefined) {
+                    merged[item] = lock[item];
+                }
+            }
+        }
+
+        return found ? merged : null;
+    }
+
+    /**
+     * Merge the locks of every matching rule, in rule list order.
+     * Each item comes from the first matching rule that sets it.
+     * @private
+     */
+    _getMergedRuleLock(context) {
+        const merged = {};
+        let found = false;
+
+        for (const rule of this.storage.getRules()) {
+            if (!RuleOps.matches(rule, context)) continue;
+            found = true;
+            for (const item of Object.values(LOCKABLE_ITEMS)) {
+                const value = rule.locks?.[item];
+                if ((merged[item] === null || merged[item] === undefined) && value !== null && value !== undefined) {
+                    merged[item] = value;
+                }
+            }
+        }
+
+        return found ? merged : null;
+    }
+
     /**
      * Get character index from name
      * @private
@@ -665,15 +1460,37 @@ class PriorityResolver {
     /**
      * Get current speaker character ID in group
      * @private
-     * @returns {number} -1 (not available in cascade resolution)
-     *
-     * Note: Individual character locks in groups are applied directly via the
-     * GROUP_MEMBER_DRAFTED event handler, not through cascade resolution,
-     * because the "current speaker" is only known during that event.
+     * @returns {number} Drafted character index, or -1 before anyone was drafted
      */
     _getCurrentSpeakerChId(context) {
-        // Individual locks are handled by GROUP_MEMBER_DRAFTED event, not cascade
-        return -1;
+        return context.isGroupChat ? context.speakerChId ?? -1 : -1;
+    }
+
+    /**
+     * Explain resolution for every item: winner plus each dimension's candidate value
+     * @param {Object} context
+     * @param {Object} preferences
+     * @returns {Object} { cascade, items: { [item]: { value, source, cascade, candidates: [{ dimension, value, skipped }] } } }
+     */
+    explain(context, preferences) {
+        const items = {};
+
+        for (const itemName of Object.values(LOCKABLE_ITEMS)) {
+            const cascade = this._buildCascade(context, preferences, itemName);
+            const candidates = cascade.map(dimension => {
+                // Some dimensions only lock some items
+                if (!dimensionLocksItem(dimension, itemName)) {
+                    return { dimension, value: null, skipped: true };
+                }
+                const lock = this._getLockForDimension(dimension, context);
+                return { dimension, value: lock?.[itemName] ?? null, skipped: false };
+            });
+            const resolved = this._resolveItem(itemName, cascade, context);
+            items[itemName] = { value: resolved.value, source: resolved.source, cascade, candidates };
+        }
+
+        // Top-level cascade is the shared order; items may differ when they have their own order
+        return { cascade: this._buildCascade(context, preferences), items };
     }
 
     /**
@@ -683,15 +1500,15 @@ class PriorityResolver {
      * @returns {Array} Array of conflict objects
      */
     detectConflicts(context, preferences) {
-        const cascade = this._buildCascade(context, preferences);
         const conflicts = [];
 
-        for (const itemName of [LOCKABLE_ITEMS.PROFILE, LOCKABLE_ITEMS.PRESET, LOCKABLE_ITEMS.TEMPLATE]) {
+        for (const itemName of Object.values(LOCKABLE_ITEMS)) {
+            const cascade = this._buildCascade(context, preferences, itemName);
             const values = new Map(); // dimension -> value
 
             for (const dimension of cascade) {
-                // Skip model for profile
-                if (itemName === LOCKABLE_ITEMS.PROFILE && dimension === SETTING_SOURCES.MODEL) {
+                // Skip items the dimension can't lock
+                if (!dimensionLocksItem(dimension, itemName)) {
                     continue;
                 }
 
@@ -703,8 +1520,8 @@ class PriorityResolver {
                 }
             }
 
-            // Check if more than one unique value exists
-            const uniqueValues = new Set(values.values());
+            // Check if more than one unique value exists (parameter overrides compare by content)
+            const uniqueValues = new Set([...values.values()].map(v => typeof v === 'object' ? JSON.stringify(v) : v));
             if (uniqueValues.size > 1) {
                 conflicts.push({
                     item: itemName,
@@ -771,6 +1588,22 @@ const TemplateOps = {
         };
     },
 
+    /**
+     * Find a template by ID, falling back to a case-insensitive name match
+     * @param {Object} templates - Template map keyed by ID
+     * @param {string} idOrName
+     * @returns {Object|null} Template or null
+     */
+    findByIdOrName(templates, idOrName) {
+        const key = String(idOrName ?? '').trim();
+        if (!key) return null;
+
+        const all = Object.values(templates || {});
+        return templates?.[key]
+            || all.find(t => t && typeof t.name === 'string' && t.name.toLowerCase() === key.toLowerCase())
+            || null;
+    },
+
     validate(template) {
         if (!template || typeof template !== 'object') return false;
         if (!template.id || typeof template.id !== 'string') return false;
@@ -824,6 +1657,387 @@ const TemplateOps = {
     }
 };
 
+// ============================================================================
+// CHAT PHASE OPERATIONS
+// ============================================================================
+
+/**
+ * Pure functions for chat phases: a phase is active from its fromMessage count
+ * until the next phase starts
+ */
+const PhaseOps = {
+    generateId() {
+        return 'phase_' + Math.random().toString(36).substr(2, 9);
+    },
+
+    createEmpty() {
+        return {
+            id: PhaseOps.generateId(),
+            name: '',
+            fromMessage: 0,
+            locks: createEmptyLocks()
+        };
+    },
+
+    validate(phase) {
+        if (!phase || typeof phase !== 'object') return false;
+        if (!phase.id || typeof phase.id !== 'string') return false;
+        if (!Number.isInteger(phase.fromMessage) || phase.fromMessage < 0) return false;
+        return !!phase.locks && typeof phase.locks === 'object';
+    },
+
+    findActive(phases, messageCount) {
+        let active = null;
+        for (const phase of phases || []) {
+            if (phase.fromMessage <= (messageCount ?? 0) && (!active || phase.fromMessage >= active.fromMessage)) {
+                active = phase;
+            }
+        }
+        return active;
+    }
+};
+
+// ============================================================================
+// RULE OPERATIONS
+// ============================================================================
+
+/**
+ * Pure functions for conditional lock rules
+ * A rule matches when every condition it sets matches the context; empty conditions match anything
+ */
+const RuleOps = {
+    generateId() {
+        return 'rule_' + Math.random().toString(36).substr(2, 9);
+    },
+
+    createEmpty() {
+        return {
+            id: RuleOps.generateId(),
+            name: '',
+            enabled: true,
+            conditions: {
+                model: '',          // regex, case-insensitive
+                source: '',         // chat completion source, exact
+                character: '',      // regex on character name (group name or any member in groups)
+                minGroupSize: null, // single chats count as 1
+                maxGroupSize: null,
+                persona: '',        // persona name or avatar ID
+                tag: ''             // tag name or ID
+            },
+            locks: createEmptyLocks()
+        };
+    },
+
+    validate(rule) {
+        if (!rule || typeof rule !== 'object') return false;
+        if (!rule.id || typeof rule.id !== 'string') return false;
+        if (!rule.conditions || typeof rule.conditions !== 'object') return false;
+        if (!rule.locks || typeof rule.locks !== 'object') return false;
+        for (const key of ['model', 'character']) {
+            if (rule.conditions[key] && !RuleOps.compilePattern(rule.conditions[key])) return false;
+        }
+        return true;
+    },
+
+    compilePattern(pattern) {
+        try {
+            return new RegExp(pattern, 'i');
+        } catch (error) {
+            if (DEBUG_MODE) console.warn('STGL: Invalid rule pattern:', pattern, error);
+            return null;
+        }
+    },
+
+    matches(rule, context) {
+        if (!rule?.enabled || !context) return false;
+        const c = rule.conditions || {};
+        const test = (pattern, value) => {
+            const re = RuleOps.compilePattern(pattern);
+            return !!re && value !== null && value !== undefined && re.test(String(value));
+        };
+        const same = (a, b) => String(a ?? '').trim().toLowerCase() === String(b ?? '').trim().toLowerCase();
+
+        if (c.model && !test(c.model, context.modelName)) return false;
+        if (c.source && !same(c.source, context.completionSource)) return false;
+
+        if (c.character) {
+            const names = context.isGroupChat
+                ? [context.groupName, ...(context.memberNames || [])]
+                : [context.characterName];
+            if (!names.some(name => test(c.character, name))) return false;
+        }
+
+        const groupSize = context.groupSize ?? 1;
+        if (Number.isFinite(c.minGroupSize) && groupSize < c.minGroupSize) return false;
+        if (Number.isFinite(c.maxGroupSize) && groupSize > c.maxGroupSize) return false;
+
+        if (c.persona && !same(c.persona, context.personaName) && !same(c.persona, context.personaId)) return false;
+
+        if (c.tag) {
+            const tag = findTagByIdOrName(c.tag);
+            if (!tag || !(context.tagIds || []).includes(tag.id)) return false;
+        }
+
+        return true;
+    },
+
+    describeConditions(rule) {
+        const c = rule?.conditions || {};
+        const parts = [];
+        if (c.model) parts.push(`model ~ /${c.model}/`);
+        if (c.source) parts.push(`source = ${c.source}`);
+        if (c.character) parts.push(`character ~ /${c.character}/`);
+        if (Number.isFinite(c.minGroupSize) && Number.isFinite(c.maxGroupSize)) parts.push(`group size ${c.minGroupSize}–${c.maxGroupSize}`);
+        else if (Number.isFinite(c.minGroupSize)) parts.push(`group size ≥ ${c.minGroupSize}`);
+        else if (Number.isFinite(c.maxGroupSize)) parts.push(`group size ≤ ${c.maxGroupSize}`);
+        if (c.persona) parts.push(`persona = ${c.persona}`);
+        if (c.tag) parts.push(`tag = ${c.tag}`);
+        return parts.length ? parts.join(', ') : 'always';
+    }
+};
+
+// ============================================================================
+// MODEL KEY OPERATIONS
+// ============================================================================
+
+/**
+ * Pure functions for model lock keys: exact names, globs (`*`, `?`) and `/regex/`
+ * Specificity: exact > glob (more literal characters first) > regex (longer source first); ties sort by key
+ */
+const ModelKeyOps = {
+    kind(key) {
+        if (/^\/.+\/$/.test(key)) return 'regex';
+        if (/[*?]/.test(key)) return 'glob';
+        return 'exact';
+    },
+
+    isPattern(key) {
+        return ModelKeyOps.kind(key) !== 'exact';
+    },
+
+    compile(key) {
+        try {
+            switch (ModelKeyOps.kind(key)) {
+                case 'regex':
+                    return new RegExp(key.slice(1, -1), 'i');
+                case 'glob': {
+                    const source = key.split('').map(ch => {
+                        if (ch === '*') return '.*';
+                        if (ch === '?') return '.';
+                        return ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+                    }).join('');
+                    return new RegExp(`^${source}$`, 'i');
+                }
+                default:
+                    return new RegExp(`^${key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`);
+            }
+        } catch (error) {
+            if (DEBUG_MODE) console.warn('STGL: Invalid model pattern:', key, error);
+            return null;
+        }
+    },
+
+    matches(key, modelName) {
+        if (!modelName) return false;
+        if (!ModelKeyOps.isPattern(key)) return key === modelName;
+        return !!ModelKeyOps.compile(key)?.test(modelName);
+    },
+
+    compareSpecificity(a, b) {
+        const rank = { exact: 0, glob: 1, regex: 2 };
+        const kindA = ModelKeyOps.kind(a);
+        const kindB = ModelKeyOps.kind(b);
+        if (kindA !== kindB) return rank[kindA] - rank[kindB];
+        if (kindA === 'glob') {
+            const literals = (key) => key.replace(/[*?]/g, '').length;
+            const diff = literals(b) - literals(a);
+            if (diff !== 0) return diff;
+        } else if (kindA === 'regex' && a.length !== b.length) {
+            return b.length - a.length;
+        }
+        return a.localeCompare(b);
+    },
+
+    findBestMatch(modelLocks, modelName) {
+        if (modelLocks[modelName]) return { key: modelName, locks: modelLocks[modelName] };
+        const key = Object.keys(modelLocks)
+            .filter(k => ModelKeyOps.isPattern(k) && modelLocks[k] && ModelKeyOps.matches(k, modelName))
+            .sort(ModelKeyOps.compareSpecificity)[0];
+        return key ? { key, locks: modelLocks[key] } : null;
+    }
+};
+
+// ============================================================================
+// PARAMETER OPERATIONS
+// ============================================================================
+
+/**
+ * Generation parameters a parameters lock can override: oai_settings field -> UI control.
+ * Aliases are accepted on input and stored under the field name.
+ */
+const PARAMETER_FIELDS = {
+    temp_openai: { selector: '#temp_openai', aliases: ['temperature', 'temp'] },
+    top_p_openai: { selector: '#top_p_openai', aliases: ['top_p'] },
+    top_k_openai: { selector: '#top_k_openai', aliases: ['top_k'] },
+    top_a_openai: { selector: '#top_a_openai', aliases: ['top_a'] },
+    min_p_openai: { selector: '#min_p_openai', aliases: ['min_p'] },
+    freq_pen_openai: { selector: '#freq_pen_openai', aliases: ['frequency_penalty'] },
+    pres_pen_openai: { selector: '#pres_pen_openai', aliases: ['presence_penalty'] },
+    repetition_penalty_openai: { selector: '#repetition_penalty_openai', aliases: ['repetition_penalty'] },
+    openai_max_tokens: { selector: '#openai_max_tokens', aliases: ['max_tokens'] },
+    openai_max_context: { selector: '#openai_max_context', aliases: ['max_context'] },
+    seed: { selector: '#seed_openai', aliases: [] },
+    reasoning_effort: { selector: '#openai_reasoning_effort', type: 'string', aliases: [] }
+};
+
+/**
+ * Functions for parameter override maps { [oai_settings field]: value }
+ */
+const ParameterOps = {
+    resolveField(key) {
+        const normalized = String(key ?? '').trim().toLowerCase();
+        if (PARAMETER_FIELDS[normalized]) return normalized;
+        return Object.keys(PARAMETER_FIELDS).find(field => PARAMETER_FIELDS[field].aliases.includes(normalized)) || null;
+    },
+
+    /**
+     * Resolve aliases and coerce values
+     * @returns {Object|null|undefined} Overrides keyed by field, null when empty, undefined when invalid
+     */
+    normalize(overrides) {
+        if (overrides === null || overrides === undefined) return null;
+        if (typeof overrides !== 'object' || Array.isArray(overrides)) return undefined;
+
+        const result = {};
+        for (const [key, raw] of Object.entries(overrides)) {
+            const field = ParameterOps.resolveField(key);
+            if (!field) return undefined;
+            if (PARAMETER_FIELDS[field].type === 'string') {
+                if (typeof raw !== 'string' || !raw.trim()) return undefined;
+                result[field] = raw.trim();
+            } else {
+                const value = typeof raw === 'string' && raw.trim() ? Number(raw) : raw;
+                if (typeof value !== 'number' || !Number.isFinite(value)) return undefined;
+                result[field] = value;
+            }
+        }
+        return Object.keys(result).length ? result : null;
+    },
+
+    /**
+     * Parse overrides entered as JSON; empty text means no overrides
+     * @returns {Object|null|undefined} As normalize()
+     */
+    parse(text) {
+        const trimmed = String(text ?? '').trim();
+        if (!trimmed) return null;
+        try {
+            return ParameterOps.normalize(JSON.parse(trimmed));
+        } catch (error) {
+            return undefined;
+        }
+    },
+
+    describe(overrides) {
+        return Object.entries(overrides || {}).map(([field, value]) => `${field}=${value}`).join(', ');
+    },
+
+    capture(fields = Object.keys(PARAMETER_FIELDS)) {
+        return Object.fromEntries(fields.filter(field => oai_settings?.[field] !== undefined).map(field => [field, oai_settings[field]]));
+    },
+
+    matchesCurrent(overrides) {
+        return Object.entries(overrides || {}).every(([field, value]) => String(oai_settings?.[field]) === String(value));
+    }
+};
+
+// ============================================================================
+// NAME LIST OPERATIONS
+// ============================================================================
+
+/**
+ * Functions for items that lock a list of names (world info, Quick Reply sets)
+ */
+const NameListOps = {
+    /**
+     * @returns {string[]|null|undefined} Unique trimmed names, null when unset, undefined when invalid
+     */
+    normalize(names) {
+        if (names === null || names === undefined) return null;
+        if (!Array.isArray(names) || !names.every(name => typeof name === 'string')) return undefined;
+        return [...new Set(names.map(name => name.trim()).filter(Boolean))];
+    },
+
+    /**
+     * Parse a JSON array or comma-separated names; "[]" locks to an empty list
+     * @returns {string[]|null|undefined} As normalize()
+     */
+    parse(text) {
+        const trimmed = String(text ?? '').trim();
+        if (!trimmed) return null;
+        if (!trimmed.startsWith('[')) return NameListOps.normalize(trimmed.split(','));
+        try {
+            return NameListOps.normalize(JSON.parse(trimmed));
+        } catch (error) {
+            return undefined;
+        }
+    },
+
+    describe(names) {
+        return names?.length ? names.join(', ') : 'none';
+    },
+
+    // Inverse of parse() for text inputs: '' when unset, '[]' for an empty list
+    toInput(names) {
+        if (!Array.isArray(names)) return '';
+        return names.length ? names.join(', ') : '[]';
+    },
+
+    equals(a, b) {
+        const setA = new Set(a || []);
+        const setB = new Set(b || []);
+        return setA.size === setB.size && [...setA].every(name => setB.has(name));
+    }
+};
+
+const WorldInfoOps = {
+    ...NameListOps,
+
+    // Lorebooks that were deleted or renamed can't be activated and are ignored
+    available(names) {
+        return (names || []).filter(name => Array.isArray(world_names) && world_names.includes(name));
+    }
+};
+
+const QuickReplyOps = {
+    ...NameListOps,
+
+    // Sets that were deleted or renamed (or the Quick Reply extension being off) are ignored
+    available(names) {
+        const sets = window.quickReplyApi?.listSets?.() || [];
+        return (names || []).filter(name => sets.includes(name));
+    }
+};
+
+/**
+ * Validate and normalize the value of a lock item
+ * @param {string} item - LOCKABLE_ITEMS value
+ * @returns {*} Normalized value (null when unset), or undefined when invalid
+ */
+function normalizeLockValue(item, value) {
+    if (value === null || value === undefined) return null;
+    switch (item) {
+        case LOCKABLE_ITEMS.PARAMETERS:
+            return ParameterOps.normalize(value);
+        case LOCKABLE_ITEMS.WORLD_INFO:
+        case LOCKABLE_ITEMS.QUICK_REPLIES:
+            return NameListOps.normalize(value);
+        default:
+            if (typeof value !== 'string') return undefined;
+            return value.trim() || null;
+    }
+}
+
 // ============================================================================
 // SECTION 2: LOCKER CLASSES (Lockable Items)
 // ============================================================================
@@ -987,8 +2201,407 @@ class PresetLocker {
 }
 
 /**
- * TemplateLocker - Handles completion template switching
- * Uses embedded TemplateOps for template operations
+ * ParameterLocker - Overrides generation parameters on top of the active preset
+ * Goes through the UI controls so ST's own handlers update oai_settings and save it
+ */
+class ParameterLocker {
+    constructor(storage) {
+        this.storage = storage;
+    }
+
+    /**
+     * Preset values of the fields currently overridden, so they can be put back (kept in extension settings)
+     * @returns {Object} { [field]: value }
+     */
+    get baseline() {
+        return this.storage.getParameterBaseline();
+    }
+
+    set baseline(baseline) {
+        this.storage.setParameterBaseline(baseline);
+    }
+
+    /**
+     * Get the current values of parameter fields
+     * @param {string[]} [fields] - Fields to read; all overridable fields by default
+     * @returns {Object} { [field]: value }
+     */
+    getCurrentParameters(fields) {
+        return ParameterOps.capture(fields);
+    }
+
+    /**
+     * Apply parameter overrides
+     * @param {Object|null} overrides - { [field]: value }, or null to keep current values
+     * @param {string} originalContextId - The context ID when this apply was initiated
+     * @returns {Promise<boolean>} Success status
+     */
+    async applyParameters(overrides, originalContextId) {
+        // null means "keep prevailing settings" - intentional no-op
+        if (overrides === null) {
+            if (DEBUG_MODE) console.log('STGL: Parameter lock returned null, keeping current parameters');
+            return true;
+        }
+
+        const normalized = ParameterOps.normalize(overrides);
+        if (!normalized) {
+            console.warn('STGL: Invalid parameter overrides:', overrides);
+            return false;
+        }
+
+        try {
+            // Check context hasn't changed before applying
+            const currentContextId = new ChatContext().getCurrent().primaryId;
+            if (currentContextId !== originalContextId) {
+                if (DEBUG_MODE) console.log('STGL: Context changed, aborting parameter application');
+                return false;
+            }
+
+            // Fields overridden before but not now go back to the preset value
+            const baseline = { ...this.baseline };
+            const restored = {};
+            for (const [field, value] of Object.entries(baseline)) {
+                if (field in normalized) continue;
+                restored[field] = value;
+                delete baseline[field];
+            }
+            for (const [field, value] of Object.entries(ParameterOps.capture(Object.keys(normalized)))) {
+                if (!(field in baseline)) baseline[field] = value;
+            }
+            this.baseline = baseline;
+
+            this._writeValues({ ...restored, ...normalized });
+
+            if (DEBUG_MODE) console.log('STGL: Applied parameter overrides:', normalized);
+            return true;
+        } catch (error) {
+            console.error('STGL: Failed to apply parameter overrides:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Put back the preset values of every overridden field
+     * @param {string} originalContextId - The context ID when this reset was initiated
+     * @returns {Promise<boolean>} Success status
+     */
+    async resetParameters(originalContextId) {
+        if (!Object.keys(this.baseline).length) return true;
+
+        try {
+            const currentContextId = new ChatContext().getCurrent().primaryId;
+            if (currentContextId !== originalContextId) {
+                if (DEBUG_MODE) console.log('STGL: Context changed, aborting parameter reset');
+                return false;
+            }
+
+            const restored = this.baseline;
+            this.baseline = {};
+            this._writeValues(restored);
+
+            if (DEBUG_MODE) console.log('STGL: Restored preset parameter values:', restored);
+            return true;
+        } catch (error) {
+            console.error('STGL: Failed to restore preset parameter values:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Forget the overridden fields once a preset (re)load has replaced their values
+     */
+    forgetBaseline() {
+        this.baseline = {};
+    }
+
+    /**
+     * Put back values and baseline captured by captureUIState
+     * @param {Object} values - { [field]: value }
+     * @param {Object} baseline - Baseline at capture time
+     */
+    restoreState(values, baseline) {
+        this._writeValues(values || {});
+        this.baseline = { ...(baseline || {}) };
+    }
+
+    /**
+     * Write values through the UI controls so ST saves them like manual edits
+     * @private
+     */
+    _writeValues(values) {
+        let wroteDirectly = false;
+        for (const [field, value] of Object.entries(values)) {
+            const control = $(PARAMETER_FIELDS[field].selector);
+            if (control.length) {
+                control.val(value).trigger('input');
+                if (control.is('select')) control.trigger('change');
+            } else {
+                // Control not rendered for this source - keep the value anyway
+                oai_settings[field] = value;
+                wroteDirectly = true;
+            }
+        }
+        if (wroteDirectly) saveSettingsDebounced();
+    }
+}
+
+/**
+ * WorldInfoLocker - Handles the globally active lorebooks
+ */
+class WorldInfoLocker {
+    /**
+     * Get the globally active lorebook names
+     * @returns {string[]}
+     */
+    getCurrentWorldInfo() {
+        return Array.isArray(selected_world_info) ? [...selected_world_info] : [];
+    }
+
+    /**
+     * Whether the active lorebooks already match a lock (unknown lorebooks ignored)
+     * @param {string[]} names
+     * @returns {boolean}
+     */
+    matchesCurrent(names) {
+        return WorldInfoOps.equals(WorldInfoOps.available(names), this.getCurrentWorldInfo());
+    }
+
+    /**
+     * Activate exactly the given lorebooks
+     * @param {string[]|null} names - Lorebook names ([] deactivates all), or null to keep current
+     * @param {string} originalContextId - The context ID when this apply was initiated
+     * @returns {Promise<boolean>} Success status
+     */
+    async applyWorldInfo(names, originalContextId) {
+        // null means "keep prevailing settings" - intentional no-op
+        if (names === null) {
+            if (DEBUG_MODE) console.log('STGL: World info lock returned null, keeping current lorebooks');
+            return true;
+        }
+
+        const normalized = WorldInfoOps.normalize(names);
+        if (!normalized) {
+            console.warn('STGL: Invalid world info lock:', names);
+            return false;
+        }
+
+        try {
+            // Skip if already active
+            if (this.matchesCurrent(normalized)) {
+                if (DEBUG_MODE) console.log('STGL: Locked lorebooks already active');
+                return true;
+            }
+
+            // Check context hasn't changed before applying
+            const currentContextId = new ChatContext().getCurrent().primaryId;
+            if (currentContextId !== originalContextId) {
+                if (DEBUG_MODE) console.log('STGL: Context changed, aborting world info application');
+                return false;
+            }
+
+            const available = WorldInfoOps.available(normalized);
+            if (available.length < normalized.length) {
+                console.warn('STGL: Lorebooks not found:', normalized.filter(name => !available.includes(name)));
+            }
+
+            // Select through ST's lorebook control like a manual edit; /world would split names on commas
+            const control = $('#world_info');
+            if (control.length) {
+                control.val(available.map(name => String(world_names.indexOf(name)))).trigger('change');
+            }
+            if (!this.matchesCurrent(available)) {
+                // Control not rendered - set the list directly
+                selected_world_info.splice(0, selected_world_info.length, ...available);
+                saveSettingsDebounced();
+            }
+            return true;
+        } catch (error) {
+            console.error('STGL: Failed to apply world info lock:', error);
+            return false;
+        }
+    }
+}
+
+/**
+ * PersonaLocker - Handles user persona switching
+ */
+class PersonaLocker {
+    /**
+     * Get the active persona's avatar ID
+     * @returns {string|null}
+     */
+    getCurrentPersona() {
+        return user_avatar || null;
+    }
+
+    /**
+     * @param {string} personaId - Persona avatar ID
+     * @returns {string|null} Persona name, or null if no such persona exists
+     */
+    getPersonaName(personaId) {
+        return (personaId && power_user?.personas?.[personaId]) || null;
+    }
+
+    /**
+     * Find a persona by avatar ID or name (case-insensitive)
+     * @param {string} nameOrId
+     * @returns {string|null} Avatar ID or null
+     */
+    findPersona(nameOrId) {
+        const personas = power_user?.personas || {};
+        const value = String(nameOrId ?? '').trim();
+        if (!value) return null;
+        if (Object.prototype.hasOwnProperty.call(personas, value)) return value;
+        const match = Object.entries(personas).find(([, name]) => String(name).toLowerCase() === value.toLowerCase());
+        return match ? match[0] : null;
+    }
+
+    /**
+     * Apply (switch to) a persona
+     * @param {string|null} personaId - Persona avatar ID to switch to, or null to keep current
+     * @param {string} originalContextId - The context ID when this apply was initiated
+     * @returns {Promise<boolean>} Success status
+     */
+    async applyPersona(personaId, originalContextId) {
+        // null means "keep prevailing settings" - intentional no-op
+        if (personaId === null) {
+            if (DEBUG_MODE) console.log('STGL: Persona lock returned null, keeping current persona');
+            return true;
+        }
+
+        if (!personaId || typeof personaId !== 'string') {
+            console.warn('STGL: Invalid persona ID:', personaId);
+            return false;
+        }
+
+        try {
+            // Skip if already active
+            if (this.getCurrentPersona() === personaId) {
+                if (DEBUG_MODE) console.log(`STGL: Persona "${personaId}" already active`);
+                return true;
+            }
+
+            // A persona deleted since the lock was saved (or from another install) is skipped
+            const personaName = this.getPersonaName(personaId);
+            if (!personaName) {
+                console.warn(`STGL: Persona "${personaId}" not found, keeping current persona`);
+                return true;
+            }
+
+            if (DEBUG_MODE) console.log(`STGL: Switching to persona: ${personaName} (${personaId})`);
+
+            // Check context hasn't changed before applying
+            const currentContextId = new ChatContext().getCurrent().primaryId;
+            if (currentContextId !== originalContextId) {
+                if (DEBUG_MODE) console.log('STGL: Context changed, aborting persona application');
+                return false;
+            }
+
+            // Use ST's slash command to switch persona; lookup mode never creates a temporary name
+            await executeSlashCommandsWithOptions(`/persona mode=lookup ${personaName.replace(/\|/g, '\\|')}`);
+
+            // Personas can share a name, in which case ST picks the first one
+            if (this.getCurrentPersona() !== personaId) {
+                console.warn(`STGL: Switched to another persona named "${personaName}"`);
+            }
+            return true;
+        } catch (error) {
+            console.error(`STGL: Failed to apply persona "${personaId}":`, error);
+            return false;
+        }
+    }
+}
+
+/**
+ * QuickReplyLocker - Handles the globally enabled Quick Reply sets
+ */
+class QuickReplyLocker {
+    /**
+     * Get the globally enabled Quick Reply set names
+     * @returns {string[]} Empty when the Quick Reply extension is not loaded
+     */
+    getCurrentSets() {
+        try {
+            return [...(window.quickReplyApi?.listGlobalSets?.() || [])];
+        } catch (error) {
+            if (DEBUG_MODE) console.warn('STGL: Error getting Quick Reply sets:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Whether the enabled sets already match a lock (unknown sets ignored)
+     * @param {string[]} names
+     * @returns {boolean}
+     */
+    matchesCurrent(names) {
+        return QuickReplyOps.equals(QuickReplyOps.available(names), this.getCurrentSets());
+    }
+
+    /**
+     * Enable exactly the given Quick Reply sets
+     * @param {string[]|null} names - Set names ([] disables all), or null to keep current
+     * @param {string} originalContextId - The context ID when this apply was initiated
+     * @returns {Promise<boolean>} Success status
+     */
+    async applySets(names, originalContextId) {
+        // null means "keep prevailing settings" - intentional no-op
+        if (names === null) {
+            if (DEBUG_MODE) console.log('STGL: Quick Reply lock returned null, keeping current sets');
+            return true;
+        }
+
+        const normalized = QuickReplyOps.normalize(names);
+        if (!normalized) {
+            console.warn('STGL: Invalid Quick Reply lock:', names);
+            return false;
+        }
+
+        // Without the Quick Reply extension there is nothing to switch
+        if (!window.quickReplyApi) {
+            console.warn('STGL: Quick Reply extension not available, skipping Quick Reply lock');
+            return true;
+        }
+
+        try {
+            // Skip if already enabled
+            if (this.matchesCurrent(normalized)) {
+                if (DEBUG_MODE) console.log('STGL: Locked Quick Reply sets already enabled');
+                return true;
+            }
+
+            // Check context hasn't changed before applying
+            const currentContextId = new ChatContext().getCurrent().primaryId;
+            if (currentContextId !== originalContextId) {
+                if (DEBUG_MODE) console.log('STGL: Context changed, aborting Quick Reply application');
+                return false;
+            }
+
+            const available = QuickReplyOps.available(normalized);
+            if (available.length < normalized.length) {
+                console.warn('STGL: Quick Reply sets not found:', normalized.filter(name => !available.includes(name)));
+            }
+
+            // Use ST's slash commands, one set at a time
+            const escape = (name) => name.replace(/\|/g, '\\|');
+            const current = this.getCurrentSets();
+            for (const name of current.filter(name => !available.includes(name))) {
+                await executeSlashCommandsWithOptions(`/qr-set-off ${escape(name)}`);
+            }
+            for (const name of available.filter(name => !current.includes(name))) {
+                await executeSlashCommandsWithOptions(`/qr-set-on ${escape(name)}`);
+            }
+            return true;
+        } catch (error) {
+            console.error('STGL: Failed to apply Quick Reply lock:', error);
+            return false;
+        }
+    }
+}
+
+/**
+ * TemplateLocker - Handles completion template switching
+ * Uses embedded TemplateOps for template operations
  */
 class TemplateLocker {
     constructor(storage) {
@@ -1118,15 +2731,26 @@ class TemplateLocker {
             return true;
         }
 
+        // Notify listeners of the outcome of every real apply attempt
+        const finish = (success, template = null) => {
+            emitStglEvent(STGL_EVENTS.TEMPLATE_APPLIED, {
+                templateId: template?.id ?? templateId,
+                templateName: template?.name ?? null,
+                contextId: originalContextId,
+                success
+            });
+            return success;
+        };
+
         if (!templateId || typeof templateId !== 'string') {
             console.warn('STGL: Invalid template ID:', templateId);
-            return false;
+            return finish(false);
         }
 
         let trimmedId = templateId.trim();
         if (!trimmedId) {
             console.warn('STGL: Empty template ID provided');
-            return false;
+            return finish(false);
         }
 
         try {
@@ -1143,7 +2767,7 @@ class TemplateLocker {
                     trimmedId = found.id;
                 } else {
                     console.warn(`STGL: Template not found: ${trimmedId}`);
-                    return false;
+                    return finish(false);
                 }
             }
 
@@ -1153,14 +2777,14 @@ class TemplateLocker {
             const currentContextId = new ChatContext().getCurrent().primaryId;
             if (currentContextId !== originalContextId) {
                 if (DEBUG_MODE) console.log('STGL: Context changed, aborting template application');
-                return false;
+                return finish(false, template);
             }
 
             // Apply template using TemplateOps
             const result = TemplateOps.applyToPromptManager(template);
             if (!result) {
                 console.warn(`STGL: Failed to apply template "${template.name}"`);
-                return false;
+                return finish(false, template);
             }
 
             this.currentTemplate = trimmedId;
@@ -1171,10 +2795,10 @@ class TemplateLocker {
             } catch (e) {
                 if (DEBUG_MODE) console.warn('STGL: Error refreshing promptManager after template apply:', e);
             }
-            return true;
+            return finish(true, template);
         } catch (error) {
             console.error(`STGL: Failed to apply template "${templateId}":`, error);
-            return false;
+            return finish(false);
         }
     }
 }
@@ -1185,17 +2809,24 @@ class TemplateLocker {
 
 /**
  * SettingsManager - Main orchestrator for lock resolution and application
- * Coordinates PriorityResolver and all three Locker classes
+ * Coordinates PriorityResolver and all Locker classes
  */
 class SettingsManager {
-    constructor(storage, chatContext, priorityResolver, profileLocker, presetLocker, templateLocker) {
+    constructor(storage, chatContext, priorityResolver, profileLocker, presetLocker, templateLocker, parameterLocker, worldInfoLocker, personaLocker, quickReplyLocker) {
         this.storage = storage;
         this.chatContext = chatContext;
         this.priorityResolver = priorityResolver;
         this.profileLocker = profileLocker;
         this.presetLocker = presetLocker;
         this.templateLocker = templateLocker;
+        this.parameterLocker = parameterLocker;
+        this.worldInfoLocker = worldInfoLocker;
+        this.personaLocker = personaLocker;
+        this.quickReplyLocker = quickReplyLocker;
         this._queueProcessingTimeout = null;
+        this.nextGenerationLocks = null; // Pending one-shot { profile?, preset?, template?, parameters? }
+        this.activeOneShot = null;       // { snapshot, items } while a one-shot generation runs
+        this.generationState = null;     // { snapshot, items } from before generation-type locks were applied
     }
 
     /**
@@ -1218,7 +2849,7 @@ class SettingsManager {
             if (DEBUG_MODE) console.log('STGL: Resolving locks for context:', context);
 
             // Resolve which locks to apply
-            const resolved = this.priorityResolver.resolve(context, preferences);
+            const resolved = this.resolveLocks(context);
             if (DEBUG_MODE) console.log('STGL: Resolved locks:', resolved);
 
             // Check for conflicts (informational only)
@@ -1227,40 +2858,301 @@ class SettingsManager {
                 console.log('STGL: Lock conflicts detected:', conflicts);
             }
 
+            emitStglEvent(STGL_EVENTS.LOCKS_RESOLVED, {
+                context: { ...context },
+                locks: { ...resolved.locks },
+                sources: { ...resolved.sources },
+                conflicts
+            });
+
             // Apply locks in critical order
-            return await this._applyLocksToUI(resolved.locks, originalContextId);
+            return await this._applyLocksToUI(resolved.locks, originalContextId, resolved.sources, { resetUnlocked: true });
         } finally {
             isApplyingSettings = false;
         }
     }
 
     /**
-     * Get currently effective locks for context
-     * @returns {Object} { locks, sources }
+     * Apply only the lock stored for one dimension, bypassing the priority cascade
+     * @param {string} target - Target dimension, as for getLocksForTarget
+     * @returns {Promise<Object|false>} Apply result, false if locks are already being applied
      */
-    getCurrentLocks() {
-        const context = this.chatContext.getCurrent();
-        const preferences = this.storage.getPreferences();
-        return this.priorityResolver.resolve(context, preferences);
+    async applyTargetLock(target) {
+        if (isApplyingSettings) {
+            if (DEBUG_MODE) console.log('STGL: Already applying locks, skipping');
+            return false;
+        }
+
+        try {
+            isApplyingSettings = true;
+
+            const context = this.chatContext.getCurrent();
+            const locks = this.getLocksForTarget(target, context) || {};
+            return await this._applyLocksToUI({ ...createEmptyLocks(), ...locks }, context.primaryId);
+        } finally {
+            isApplyingSettings = false;
+        }
     }
 
     /**
-     * Context change event handler
+     * Snapshot the active profile, preset and prompts so they can be restored later
+     * @returns {Promise<Object>} Snapshot for restoreUIState
      */
-    onContextChanged(source = null) {
-        if (contextChangeQueue.length >= MAX_CONTEXT_QUEUE_SIZE) {
-            contextChangeQueue.shift();
-        }
-        contextChangeQueue.push(Date.now());
+    async captureUIState() {
+        return {
+            profile: this.profileLocker.getCurrentProfile(),
+            preset: this.presetLocker.getCurrentPreset(),
+            templateId: await this.templateLocker.getCurrentTemplate(),
+            parameters: this.parameterLocker.getCurrentParameters(),
+            parameterBaseline: { ...this.parameterLocker.baseline },
+            worldInfo: this.worldInfoLocker.getCurrentWorldInfo(),
+            persona: this.personaLocker.getCurrentPersona(),
+            quickReplies: this.quickReplyLocker.getCurrentSets(),
+            // Presets carry their own prompts, so keep the live prompt state as an unsaved template
+            prompts: TemplateOps.createFromCurrent({ name: 'STGL snapshot', description: '' })
+        };
+    }
+
+    /**
+     * Restore state captured by captureUIState - same order as _applyLocksToUI
+     * @param {Object} snapshot - From captureUIState()
+     * @param {string[]} items - Items that were changed and need restoring
+     * @returns {Promise<boolean>} Success status
+     */
+    async restoreUIState(snapshot, items) {
+        const contextId = this.chatContext.getCurrent().primaryId;
+        let success = true;
+
+        if (items.includes(LOCKABLE_ITEMS.PROFILE) && snapshot.profile) {
+            success = await this.profileLocker.applyProfile(snapshot.profile, contextId) && success;
+        }
+        if (items.includes(LOCKABLE_ITEMS.PRESET) && snapshot.preset) {
+            success = await this.presetLocker.applyPreset(snapshot.preset, contextId) && success;
+        }
+        // Re-applying the preset resets its parameters, so put back the values from before as well
+        if (items.includes(LOCKABLE_ITEMS.PRESET) || items.includes(LOCKABLE_ITEMS.PARAMETERS)) {
+            this.parameterLocker.restoreState(snapshot.parameters, snapshot.parameterBaseline);
+        }
+        if (items.includes(LOCKABLE_ITEMS.PRESET) || items.includes(LOCKABLE_ITEMS.TEMPLATE)) {
+            success = TemplateOps.applyToPromptManager(snapshot.prompts) && success;
+            this.templateLocker.currentTemplate = snapshot.templateId;
+            try {
+                if (promptManager && typeof promptManager.render === 'function') {
+                    await promptManager.render();
+                }
+            } catch (e) {
+                if (DEBUG_MODE) console.warn('STGL: Error refreshing promptManager after restore:', e);
+            }
+        }
+        if (items.includes(LOCKABLE_ITEMS.WORLD_INFO)) {
+            success = await this.worldInfoLocker.applyWorldInfo(snapshot.worldInfo, contextId) && success;
+        }
+        if (items.includes(LOCKABLE_ITEMS.PERSONA) && snapshot.persona) {
+            success = await this.personaLocker.applyPersona(snapshot.persona, contextId) && success;
+        }
+        if (items.includes(LOCKABLE_ITEMS.QUICK_REPLIES)) {
+            success = await this.quickReplyLocker.applySets(snapshot.quickReplies, contextId) && success;
+        }
+
+        if (!success) console.warn('STGL: Failed to fully restore state after temporary locks');
+        return success;
+    }
+
+    /**
+     * Apply items temporarily, run a callback, then restore the previous state.
+     * Auto-apply and preset-change handling are suspended while the callback runs.
+     * @param {Object} locks - Partial { profile, preset, template, parameters, worldinfo, persona, qrsets }
+     * @param {Function} callback - Async work to run under the temporary locks
+     * @returns {Promise<*>} Callback result
+     */
+    async withTemporaryLocks(locks, callback) {
+        const items = Object.values(LOCKABLE_ITEMS).filter(item => locks[item]);
+        const context = this.chatContext.getCurrent();
+        const snapshot = await this.captureUIState();
+
+        temporaryLockDepth++;
+        try {
+            const result = await this._applyLocksToUI({ ...createEmptyLocks(), ...locks }, context.primaryId);
+            if (!result.success) {
+                throw new Error('Failed to apply temporary locks');
+            }
+            return await callback();
+        } finally {
+            try {
+                await this.restoreUIState(snapshot, items);
+            } finally {
+                temporaryLockDepth--;
+                updateDisplay();
+            }
+        }
+    }
+
+    /**
+     * Queue locks for the next generation only; no stored lock is changed
+     * @param {Object|null} locks - Partial { profile, preset, template, parameters, worldinfo, persona, qrsets }; null cancels
+     * @returns {boolean} Whether a one-shot is pending
+     */
+    setNextGenerationLocks(locks) {
+        const items = locks ? Object.values(LOCKABLE_ITEMS).filter(item => locks[item]) : [];
+        this.nextGenerationLocks = items.length ? Object.fromEntries(items.map(item => [item, locks[item]])) : null;
+        updateDisplay();
+        return !!this.nextGenerationLocks;
+    }
+
+    /**
+     * Apply the pending one-shot locks at generation start. Auto-apply is suspended until
+     * endOneShotGeneration restores the previous state.
+     * @returns {Promise<boolean>} Whether a one-shot was applied
+     */
+    async beginOneShotGeneration() {
+        const locks = this.nextGenerationLocks;
+        if (!locks || this.activeOneShot) return false;
+
+        this.nextGenerationLocks = null;
+        this.activeOneShot = { snapshot: await this.captureUIState(), items: Object.keys(locks) };
+        temporaryLockDepth++;
+
+        const result = await this._applyLocksToUI({ ...createEmptyLocks(), ...locks }, this.chatContext.getCurrent().primaryId);
+
+        if (!result.success) {
+            try { toastr.error('Failed to apply next-generation locks'); } catch (e) {}
+            await this.endOneShotGeneration();
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Restore the state from before the one-shot generation
+     * @returns {Promise<boolean>} Whether a one-shot was active
+     */
+    async endOneShotGeneration() {
+        if (!this.activeOneShot) return false;
+
+        const { snapshot, items } = this.activeOneShot;
+        this.activeOneShot = null;
+        try {
+            await this.restoreUIState(snapshot, items);
+        } finally {
+            temporaryLockDepth--;
+            updateDisplay();
+        }
+        return true;
+    }
+
+    /**
+     * Apply generation-type locks before the prompt is built. Unlike the debounced context-change queue,
+     * this finishes before the GENERATION_STARTED listener returns.
+     * @returns {Promise<boolean>} Whether a generation-type lock took part (applied or declined)
+     */
+    async beginGenerationLocks() {
+        if (isApplyingSettings || isHandlingPresetChange || temporaryLockDepth > 0) return false;
+
+        this.chatContext.invalidate();
+        const resolved = this.resolveLocks();
+        const items = Object.keys(resolved.sources).filter(item => resolved.sources[item] === SETTING_SOURCES.GENERATION);
+        if (!items.length) return false;
+
+        if (!await this._shouldApplyAutomatically(event_types.GENERATION_STARTED)) return true;
+
+        // Capture before anything is switched, so GENERATION_ENDED always finds the state to restore
+        await this._rememberPreGenerationState(items);
+        const result = await this.applyLocksForContext();
+        if (!result?.success && this.storage.getPreferences().showNotifications) {
+            try { toastr.error('Failed to apply generation locks'); } catch (e) {}
+        }
+        return true;
+    }
+
+    /**
+     * Restore the items switched by generation-type locks to their state from before the generation
+     * @returns {Promise<boolean>} Whether generation-type locks were active
+     */
+    async endGenerationLocks() {
+        if (!this.generationState) return false;
+
+        const { snapshot, items } = this.generationState;
+        this.generationState = null;
+        // The restore switches presets on purpose; keep onPresetChanged and auto-apply out of it
+        temporaryLockDepth++;
+        try {
+            await this.restoreUIState(snapshot, items);
+        } finally {
+            temporaryLockDepth--;
+            updateDisplay();
+        }
+        return true;
+    }
+
+    /**
+     * Snapshot the state before generation-type locks change it (the first snapshot of a generation is kept)
+     * @param {string[]} items - Items won by a generation-type lock
+     * @private
+     */
+    async _rememberPreGenerationState(items) {
+        if (this.generationState) {
+            this.generationState.items = [...new Set([...this.generationState.items, ...items])];
+            return;
+        }
+        this.generationState = { snapshot: await this.captureUIState(), items: [...items] };
+    }
+
+    /**
+     * Get currently effective locks for context
+     * @returns {Object} { locks, sources }
+     */
+    getCurrentLocks() {
+        return this.resolveLocks();
+    }
+
+    /**
+     * Resolve locks the way they will be applied: connection-profile, preset-coupled and persona
+     * locks follow the profile/preset/persona that the first pass is about to switch to
+     * @param {Object} [context] - Context from ChatContext.getCurrent()
+     * @returns {Object} { locks, sources }
+     */
+    resolveLocks(context = this.chatContext.getCurrent()) {
+        const preferences = this.storage.getPreferences();
+        const resolved = this.priorityResolver.resolve(context, preferences);
+
+        const upcoming = {};
+        if (resolved.locks.profile && resolved.locks.profile !== context.connectionProfile) {
+            upcoming.connectionProfile = resolved.locks.profile;
+        }
+        if (resolved.locks.preset && resolved.locks.preset !== context.presetName) {
+            upcoming.presetName = resolved.locks.preset;
+        }
+        if (resolved.locks.persona && resolved.locks.persona !== context.personaId) {
+            upcoming.personaId = resolved.locks.persona;
+            upcoming.personaName = this.personaLocker.getPersonaName(resolved.locks.persona) || context.personaName;
+        }
+        if (!Object.keys(upcoming).length) return resolved;
+
+        return this.priorityResolver.resolve({ ...context, ...upcoming }, preferences);
+    }
+
+    /**
+     * Context change event handler
+     */
+    onContextChanged(source = null) {
+        if (contextChangeQueue.length >= MAX_CONTEXT_QUEUE_SIZE) {
+            contextChangeQueue.shift();
+        }
+        contextChangeQueue.push(Date.now());
         if (DEBUG_MODE) console.log('STGL: Context change queued', source ? `(${source})` : '');
         this._processContextChangeQueue(source);
     }
 
     /**
-     * Apply locks to UI - CRITICAL ORDER: Profile → Preset → Template
+     * Apply locks to UI - CRITICAL ORDER: Profile → Preset → Parameters → Template → World Info → Persona → Quick Replies
+     * @param {Object} locks - { profile, preset, template, parameters, worldinfo, persona, qrsets }
+     * @param {string} originalContextId - The context ID when this apply was initiated
+     * @param {Object} [sources] - Winning dimension per item, passed on to event listeners
+     * @param {Object} [options]
+     * @param {boolean} [options.resetUnlocked] - Full resolution: put back preset values when no parameters are locked
      * @private
      */
-    async _applyLocksToUI(locks, originalContextId) {
+    async _applyLocksToUI(locks, originalContextId, sources = {}, { resetUnlocked = false } = {}) {
         if (DEBUG_MODE) console.log('STGL: Applying locks to UI:', locks);
         const prefs = this.storage.getPreferences ? this.storage.getPreferences() : {};
 
@@ -1276,41 +3168,119 @@ class SettingsManager {
         const nProfile = norm(locks.profile);
         const nPreset = norm(locks.preset);
         const nTemplate = norm(locks.template);
+        const nParameters = norm(locks.parameters);
+        const nWorldInfo = norm(locks.worldinfo);
+        const nPersona = norm(locks.persona);
+        const nQuickReplies = norm(locks.qrsets);
+
+        // Generation-type locks are put back once the generation ends
+        const generationItems = Object.keys(sources).filter(item => sources[item] === SETTING_SOURCES.GENERATION);
+        if (generationItems.length) await this._rememberPreGenerationState(generationItems);
+
+        // Per-item outcomes reported with STGL_EVENTS.LOCKS_APPLIED
+        const items = {};
+        const finish = (result) => {
+            emitStglEvent(STGL_EVENTS.LOCKS_APPLIED, {
+                context: { ...this.chatContext.getCurrent() },
+                locks: { profile: nProfile, preset: nPreset, template: nTemplate, parameters: nParameters, worldinfo: nWorldInfo, persona: nPersona, qrsets: nQuickReplies },
+                sources: { ...sources },
+                items,
+                ...result
+            });
+            return result;
+        };
 
         // Snapshot current state before applying to detect actual changes
         const before = {
             profile: this.profileLocker.getCurrentProfile(),
             preset: this.presetLocker.getCurrentPreset(),
             templateMatches: nTemplate !== null ? this.templateLocker.compareWithTemplate(nTemplate) : null,
+            parametersMatch: nParameters !== null ? ParameterOps.matchesCurrent(nParameters) : null,
+            worldInfoMatches: nWorldInfo !== null ? this.worldInfoLocker.matchesCurrent(nWorldInfo) : null,
+            persona: this.personaLocker.getCurrentPersona(),
+            quickRepliesMatch: nQuickReplies !== null ? this.quickReplyLocker.matchesCurrent(nQuickReplies) : null,
         };
 
         // 1. Profile first (changes connection)
         if (nProfile !== null) {
             const success = await this.profileLocker.applyProfile(nProfile, originalContextId);
+            items.profile = { value: nProfile, success };
             if (!success) {
                 console.warn('STGL: Failed to apply profile lock');
                 try { if (prefs.showNotifications) toastr.error('Failed to apply profile lock'); } catch (e) {}
-                return { success: false, changed: false };
+                return finish({ success: false, changed: false });
             }
         }
 
         // 2. Preset second (depends on active connection)
         if (nPreset !== null) {
             const success = await this.presetLocker.applyPreset(nPreset, originalContextId);
+            items.preset = { value: nPreset, success };
             if (!success) {
                 console.warn('STGL: Failed to apply preset lock');
                 try { if (prefs.showNotifications) toastr.error('Failed to apply preset lock'); } catch (e) {}
-                return { success: false, changed: false };
+                return finish({ success: false, changed: false });
+            }
+        }
+        // A newly loaded preset replaced the overridden values
+        if (this.presetLocker.getCurrentPreset() !== before.preset) {
+            this.parameterLocker.forgetBaseline();
+        }
+
+        // 3. Parameter overrides on top of the preset (or the preset values back when none are locked)
+        if (nParameters !== null || resetUnlocked) {
+            const success = nParameters !== null
+                ? await this.parameterLocker.applyParameters(nParameters, originalContextId)
+                : await this.parameterLocker.resetParameters(originalContextId);
+            if (nParameters !== null) items.parameters = { value: nParameters, success };
+            if (!success) {
+                console.warn('STGL: Failed to apply parameter lock');
+                try { if (prefs.showNotifications) toastr.error('Failed to apply parameter lock'); } catch (e) {}
+                return finish({ success: false, changed: false });
             }
         }
 
-        // 3. Template last (modifies prompt manager)
+        // 4. Template last (modifies prompt manager)
         if (nTemplate !== null) {
             const success = await this.templateLocker.applyTemplate(nTemplate, originalContextId);
+            items.template = { value: nTemplate, success };
             if (!success) {
                 console.warn('STGL: Failed to apply template lock');
                 try { if (prefs.showNotifications) toastr.error('Failed to apply template lock'); } catch (e) {}
-                return { success: false, changed: false };
+                return finish({ success: false, changed: false });
+            }
+        }
+
+        // 5. World info (independent of the connection, so it can go last)
+        if (nWorldInfo !== null) {
+            const success = await this.worldInfoLocker.applyWorldInfo(nWorldInfo, originalContextId);
+            items.worldinfo = { value: nWorldInfo, success };
+            if (!success) {
+                console.warn('STGL: Failed to apply world info lock');
+                try { if (prefs.showNotifications) toastr.error('Failed to apply world info lock'); } catch (e) {}
+                return finish({ success: false, changed: false });
+            }
+        }
+
+        // 6. Persona (only changes who the user is in the prompt)
+        if (nPersona !== null) {
+            const success = await this.personaLocker.applyPersona(nPersona, originalContextId);
+            items.persona = { value: nPersona, success };
+            if (!success) {
+                console.warn('STGL: Failed to apply persona lock');
+                try { if (prefs.showNotifications) toastr.error('Failed to apply persona lock'); } catch (e) {}
+                return finish({ success: false, changed: false });
+            }
+        }
+
+        // 7. Quick Reply sets (toolbar only, nothing depends on them)
+        if (nQuickReplies !== null) {
+            const success = await this.quickReplyLocker.applySets(nQuickReplies, originalContextId);
+            items.qrsets = { value: nQuickReplies, success };
+            if (!success) {
+                console.warn('STGL: Failed to apply Quick Reply lock');
+                try { if (prefs.showNotifications) toastr.error('Failed to apply Quick Reply lock'); } catch (e) {}
+                return finish({ success: false, changed: false });
             }
         }
 
@@ -1321,14 +3291,22 @@ class SettingsManager {
             profile: this.profileLocker.getCurrentProfile(),
             preset: this.presetLocker.getCurrentPreset(),
             templateMatches: nTemplate !== null ? this.templateLocker.compareWithTemplate(nTemplate) : null,
+            parametersMatch: nParameters !== null ? ParameterOps.matchesCurrent(nParameters) : null,
+            worldInfoMatches: nWorldInfo !== null ? this.worldInfoLocker.matchesCurrent(nWorldInfo) : null,
+            persona: this.personaLocker.getCurrentPersona(),
+            quickRepliesMatch: nQuickReplies !== null ? this.quickReplyLocker.matchesCurrent(nQuickReplies) : null,
         };
 
         const changed =
             (nProfile !== null && before.profile !== after.profile) ||
             (nPreset !== null && before.preset !== after.preset) ||
-            (nTemplate !== null && (before.templateMatches === false && after.templateMatches === true));
+            (nTemplate !== null && (before.templateMatches === false && after.templateMatches === true)) ||
+            (nParameters !== null && (before.parametersMatch === false && after.parametersMatch === true)) ||
+            (nWorldInfo !== null && (before.worldInfoMatches === false && after.worldInfoMatches === true)) ||
+            (nPersona !== null && before.persona !== after.persona) ||
+            (nQuickReplies !== null && (before.quickRepliesMatch === false && after.quickRepliesMatch === true));
 
-        return { success: true, changed };
+        return finish({ success: true, changed });
     }
 
     /**
@@ -1349,6 +3327,12 @@ class SettingsManager {
                 return;
             }
 
+            // Skip auto-apply while temporary locks are active (they would be overwritten)
+            if (temporaryLockDepth > 0) {
+                if (DEBUG_MODE) console.log('STGL: Skipping auto-apply during temporary locks');
+                return;
+            }
+
             const shouldApply = await this._shouldApplyAutomatically(source);
             if (shouldApply && !isApplyingSettings) {
                 if (DEBUG_MODE) console.log('STGL: Auto-applying locks on context change');
@@ -1394,103 +3378,141 @@ class SettingsManager {
         }, 100);
     }
 
+    /**
+     * Items whose resolved lock differs from the live settings
+     * @param {Object} resolved - { locks, sources }
+     * @returns {string[]} LOCKABLE_ITEMS values
+     * @private
+     */
+    _getDifferingItems(resolved) {
+        const { locks } = resolved;
+        const differs = {
+            [LOCKABLE_ITEMS.PROFILE]: () => locks.profile !== this.profileLocker.getCurrentProfile(),
+            [LOCKABLE_ITEMS.PRESET]: () => locks.preset !== this.presetLocker.getCurrentPreset(),
+            [LOCKABLE_ITEMS.TEMPLATE]: () => !this.templateLocker.compareWithTemplate(locks.template),
+            // Without a parameter lock, overrides left by a previous context still need their reset
+            [LOCKABLE_ITEMS.PARAMETERS]: () => (!!locks.parameters && !ParameterOps.matchesCurrent(locks.parameters))
+                || this._hasPendingParameterReset(locks.parameters),
+            [LOCKABLE_ITEMS.WORLD_INFO]: () => !this.worldInfoLocker.matchesCurrent(locks.worldinfo),
+            [LOCKABLE_ITEMS.PERSONA]: () => locks.persona !== this.personaLocker.getCurrentPersona()
+                && !!this.personaLocker.getPersonaName(locks.persona),
+            [LOCKABLE_ITEMS.QUICK_REPLIES]: () => !this.quickReplyLocker.matchesCurrent(locks.qrsets)
+        };
+        return Object.values(LOCKABLE_ITEMS).filter(item => (locks[item] || item === LOCKABLE_ITEMS.PARAMETERS) && differs[item]());
+    }
+
+    /**
+     * Whether fields overridden earlier would go back to their preset values under this parameter lock
+     * @param {Object|null} parameters - Resolved parameters lock
+     * @returns {boolean}
+     * @private
+     */
+    _hasPendingParameterReset(parameters) {
+        const locked = ParameterOps.normalize(parameters) || {};
+        return Object.keys(this.parameterLocker.baseline).some(field => !(field in locked));
+    }
+
     /**
      * Check if locks should be applied automatically
+     * @param {string|null} [source] - Triggering event type
+     * @param {Object} [options]
+     * @param {string[]|null} [options.items] - Only consider (and ask about) these items
+     * @param {Object|null} [options.resolved] - Resolution to compare against (defaults to resolveLocks())
      * @private
      */
-    async _shouldApplyAutomatically(source = null) {
+    async _shouldApplyAutomatically(source = null, { items = null, resolved = null } = {}) {
         const preferences = this.storage.getPreferences();
         const isGenStart = source === event_types.GENERATION_STARTED;
-        const mode = isGenStart
+        let mode = isGenStart
             ? (preferences.autoApplyOnGenerationStart ?? preferences.autoApplyOnContextChange)
             : preferences.autoApplyOnContextChange;
 
-        if (mode === AUTO_APPLY_MODES.NEVER) return false;
-        if (mode === AUTO_APPLY_MODES.ALWAYS) {
-            // Only auto-apply if something would actually change
-            const context = this.chatContext.getCurrent();
-            const resolved = this.priorityResolver.resolve(context, preferences);
-
-            if (resolved.locks.profile || resolved.locks.preset || resolved.locks.template) {
-                const currentProfile = this.profileLocker.getCurrentProfile();
-                const currentPreset = this.presetLocker.getCurrentPreset();
-                const currentTemplate = await this.templateLocker.getCurrentTemplate();
-
-                const profileDiffers = resolved.locks.profile && resolved.locks.profile !== currentProfile;
-                const presetDiffers = resolved.locks.preset && resolved.locks.preset !== currentPreset;
-                const templateDiffers = resolved.locks.template && !this.templateLocker.compareWithTemplate(resolved.locks.template);
-
-                return profileDiffers || presetDiffers || templateDiffers;
-            }
-
-            return false;
+        // Background generations (summaries, classification) must never open a popup:
+        // apply only when quiet generations have their own lock
+        const generationType = this.chatContext.getCurrent().generationType;
+        if (isGenStart && generationType === GENERATION_TYPES.QUIET && mode === AUTO_APPLY_MODES.ASK) {
+            mode = this.storage.getGenerationLock(GENERATION_TYPES.QUIET) ? AUTO_APPLY_MODES.ALWAYS : AUTO_APPLY_MODES.NEVER;
         }
 
-        // ASK mode - check if there are locks to apply AND if they differ from current settings
-        const context = this.chatContext.getCurrent();
-        const resolved = this.priorityResolver.resolve(context, preferences);
+        if (mode === AUTO_APPLY_MODES.NEVER) return false;
 
-        if (resolved.locks.profile || resolved.locks.preset || resolved.locks.template) {
-            // Check if locks differ from current settings
-            const currentProfile = this.profileLocker.getCurrentProfile();
-            const currentPreset = this.presetLocker.getCurrentPreset();
-            const currentTemplate = await this.templateLocker.getCurrentTemplate();
-
-            const profileDiffers = resolved.locks.profile && resolved.locks.profile !== currentProfile;
-            const presetDiffers = resolved.locks.preset && resolved.locks.preset !== currentPreset;
-            const templateDiffers = resolved.locks.template && !this.templateLocker.compareWithTemplate(resolved.locks.template);
-
-            // Only ask if something would actually change
-            if (profileDiffers || presetDiffers || templateDiffers) {
-const contextName = context.isGroupChat
-    ? (context.groupName || 'this context')
-    : getDisplayCharacterName(context.characterName);
-const profileName = resolved.locks.profile || '—';
-const presetName = resolved.locks.preset || '—';
-let templateName = '—';
-if (resolved.locks.template) {
-    const templateObj = this.storage.getTemplate(resolved.locks.template);
-    templateName = templateObj ? templateObj.name : resolved.locks.template;
-}
-// Human-readable sources (Character becomes Group in group chats for labeling)
-const isGroupChatAuto = context.isGroupChat;
-const toTitleCase = (s) => s ? ({ chat: 'Chat', character: isGroupChatAuto ? 'Character/Group' : 'Character', group: isGroupChatAuto ? 'Character/Group' : 'Group', model: 'Model', individual: 'Individual' }[s] || s) : null;
-const profileSource = resolved.sources?.profile ? toTitleCase(resolved.sources.profile) : null;
-const presetSource = resolved.sources?.preset ? toTitleCase(resolved.sources.preset) : null;
-const templateSource = resolved.sources?.template ? toTitleCase(resolved.sources.template) : null;
-
-const popupBody =
-    `<div style="font-size:1.1em;font-weight:bold;margin-bottom:10px;">
-        Apply saved locks for ${contextName}?
-     </div>
-     <div style="margin-bottom:10px;"><b>This will set:</b></div>
-     <div>
-       Profile → <b>${profileName}</b>${profileSource ? ` <small class="text_muted">(from ${profileSource})</small>` : ''}<br>
-       Preset → <b>${presetName}</b>${presetSource ? ` <small class="text_muted">(from ${presetSource})</small>` : ''}<br>
-       Template → <b>${templateName}</b>${templateSource ? ` <small class="text_muted">(from ${templateSource})</small>` : ''}
-     </div>
-     <div style="margin-top:10px;">Proceed?</div>`;
-const result = await callGenericPopup(
-    popupBody,
-    POPUP_TYPE.CONFIRM,
-    '',
-    { okButton: 'Apply', cancelButton: 'Skip' }
-);
-                return result === POPUP_RESULT.AFFIRMATIVE;
+        // Only apply (or ask) if something would actually change
+        const context = this.chatContext.getCurrent();
+        resolved ??= this.resolveLocks(context);
+        const differing = this._getDifferingItems(resolved).filter(item => !items || items.includes(item));
+        if (!differing.length) return false;
+        if (mode === AUTO_APPLY_MODES.ALWAYS) return true;
+
+        // ASK mode
+        const contextName = context.isGroupChat
+            ? (context.groupName || 'this context')
+            : getDisplayCharacterName(context.characterName);
+        // Human-readable sources (Character becomes Group in group chats for labeling)
+        const toTitleCase = (s) => formatSourceLabel(s, context.isGroupChat);
+        const labels = {
+            [LOCKABLE_ITEMS.PROFILE]: 'Profile',
+            [LOCKABLE_ITEMS.PRESET]: 'Preset',
+            [LOCKABLE_ITEMS.TEMPLATE]: 'Template',
+            [LOCKABLE_ITEMS.PARAMETERS]: 'Parameters',
+            [LOCKABLE_ITEMS.WORLD_INFO]: 'World Info',
+            [LOCKABLE_ITEMS.PERSONA]: 'Persona',
+            [LOCKABLE_ITEMS.QUICK_REPLIES]: 'Quick Replies'
+        };
+        const describe = (item, value) => {
+            switch (item) {
+                case LOCKABLE_ITEMS.TEMPLATE: return this.storage.getTemplate(value)?.name || value;
+                case LOCKABLE_ITEMS.PARAMETERS: return ParameterOps.describe(value);
+                case LOCKABLE_ITEMS.WORLD_INFO: return WorldInfoOps.describe(value);
+                case LOCKABLE_ITEMS.PERSONA: return this.personaLocker.getPersonaName(value) || value;
+                case LOCKABLE_ITEMS.QUICK_REPLIES: return QuickReplyOps.describe(value);
+                default: return value;
             }
-        }
-
-        return false;
+        };
+        // Profile, preset and template are always listed; other items only when locked
+        const coreItems = [LOCKABLE_ITEMS.PROFILE, LOCKABLE_ITEMS.PRESET, LOCKABLE_ITEMS.TEMPLATE];
+        const shownItems = items || Object.values(LOCKABLE_ITEMS).filter(item => coreItems.includes(item) || resolved.locks[item]
+            || (item === LOCKABLE_ITEMS.PARAMETERS && differing.includes(item)));
+        const parameterReset = differing.includes(LOCKABLE_ITEMS.PARAMETERS) && this._hasPendingParameterReset(resolved.locks.parameters);
+        const lines = shownItems.map(item => {
+            const value = resolved.locks[item];
+            const source = resolved.sources?.[item];
+            if (item === LOCKABLE_ITEMS.PARAMETERS && parameterReset) {
+                const reset = value ? `${lodash.escape(describe(item, value))}, other overrides reset to the preset` : 'reset to the preset values';
+                return `${labels[item]} → <b>${reset}</b>` + (value && source ? ` <small class="text_muted">(from ${toTitleCase(source)})</small>` : '');
+            }
+            return `${labels[item]} → <b>${value ? lodash.escape(describe(item, value)) : '—'}</b>` +
+                (source ? ` <small class="text_muted">(from ${toTitleCase(source)})</small>` : '');
+        });
+
+        const popupBody =
+            `<div style="font-size:1.1em;font-weight:bold;margin-bottom:10px;">
+                Apply saved locks for ${contextName}?
+             </div>
+             <div style="margin-bottom:10px;"><b>This will set:</b></div>
+             <div>
+               ${lines.join('<br>')}
+             </div>
+             <div style="margin-top:10px;">Proceed?</div>`;
+        const result = await callGenericPopup(
+            popupBody,
+            POPUP_TYPE.CONFIRM,
+            '',
+            { okButton: 'Apply', cancelButton: 'Skip' }
+        );
+        return result === POPUP_RESULT.AFFIRMATIVE;
     }
 
     /**
      * Save current UI settings as locks
      * @param {Object} targets - Which dimensions to save { character, chat, model }
+     * @param {Object} [options]
+     * @param {string[]|null} [options.items] - Only update these items, keeping the rest of the existing lock
+     * @param {Object} [options.values] - Explicit item values to store instead of the current UI values
      */
-    async saveCurrentUILocks(targets) {
+    async saveCurrentUILocks(targets, { items = null, values = {} } = {}) {
         const context = this.chatContext.getCurrent();
 
-        // Get current active settings
+        // Get current active settings; parameter overrides, world info, persona and Quick Reply sets are only ever set explicitly
         const currentLocks = {
             profile: this.profileLocker.getCurrentProfile(),
             preset: this.presetLocker.getCurrentPreset(),
@@ -1500,55 +3522,36 @@ const result = await callGenericPopup(
         let savedCount = 0;
 
         try {
-            if (context.isGroupChat) {
-                // Group chat context
-                if (targets.character && context.groupId) {
-                    await this.storage.setGroupLock(context.groupId, currentLocks);
-                    savedCount++;
-                    if (DEBUG_MODE) console.log('STGL: Saved group lock');
-                }
-                if (targets.chat && context.groupId) {
-                    this.storage.setChatLock(currentLocks);
-                    savedCount++;
-                    if (DEBUG_MODE) console.log('STGL: Saved chat lock (group)');
-                }
-            } else {
-                // Single character context
-                if (targets.character) {
-                    const target = resolveCharacterLockTarget(context);
-                    let saved = false;
-
-                    if (target.mode === 'default-single') {
-                        saved = this.storage.setDefaultSingleCharacterLock(currentLocks);
-                        if (DEBUG_MODE) console.log('STGL: Saved default single-character lock');
-                    } else if (target.mode === 'character') {
-                        saved = this.storage.setCharacterLock(target.key, currentLocks);
-                        if (DEBUG_MODE) console.log('STGL: Saved character lock');
-                    }
-
-                    if (saved) {
-                        savedCount++;
+            for (const [target, enabled] of Object.entries(targets)) {
+                if (!enabled) continue;
+
+                // Items not captured from the UI keep their stored value
+                const existing = this.getLocksForTarget(target, context);
+                let locks = { ...createEmptyLocks(), ...(existing || {}), ...currentLocks };
+                if (Array.isArray(items) && items.length) {
+                    // Partial update: merge the requested items into the existing lock
+                    locks = { ...createEmptyLocks(), ...(existing || {}) };
+                    for (const item of items) {
+                        if (Object.prototype.hasOwnProperty.call(values, item)) {
+                            locks[item] = values[item];
+                        } else if (Object.prototype.hasOwnProperty.call(currentLocks, item)) {
+                            locks[item] = currentLocks[item];
+                        } else if (item === LOCKABLE_ITEMS.WORLD_INFO) {
+                            locks[item] = this.worldInfoLocker.getCurrentWorldInfo();
+                        } else if (item === LOCKABLE_ITEMS.PERSONA) {
+                            locks[item] = this.personaLocker.getCurrentPersona();
+                        } else if (item === LOCKABLE_ITEMS.QUICK_REPLIES) {
+                            locks[item] = this.quickReplyLocker.getCurrentSets();
+                        }
                     }
                 }
-                if (targets.chat) {
-                    this.storage.setChatLock(currentLocks);
+
+                if (await this._setTargetLock(target, context, locks)) {
                     savedCount++;
-                    if (DEBUG_MODE) console.log('STGL: Saved chat lock');
+                    if (DEBUG_MODE) console.log(`STGL: Saved ${target} lock`, locks);
                 }
             }
 
-            if (targets.model && context.modelName) {
-                // Model locks don't include profile
-                const modelLocks = {
-                    profile: null,
-                    preset: currentLocks.preset,
-                    template: currentLocks.template
-                };
-                this.storage.setModelLock(context.modelName, modelLocks);
-                savedCount++;
-                if (DEBUG_MODE) console.log('STGL: Saved model lock');
-            }
-
             return savedCount > 0;
         } catch (error) {
             console.error('STGL: Error saving locks:', error);
@@ -1559,45 +3562,33 @@ const result = await callGenericPopup(
     /**
      * Clear locks for specified dimensions
      * @param {Object} targets - Which dimensions to clear { character, chat, model }
+     * @param {Object} [options]
+     * @param {string[]|null} [options.items] - Only clear these items; the lock is removed once every item is empty
      */
-    async clearLocks(targets) {
+    async clearLocks(targets, { items = null } = {}) {
         const context = this.chatContext.getCurrent();
         let clearedCount = 0;
 
         try {
-            if (context.isGroupChat) {
-                if (targets.character && context.groupId) {
-                    await this.storage.clearGroupLock(context.groupId);
-                    clearedCount++;
-                }
-                if (targets.chat) {
-                    this.storage.clearChatLock();
-                    clearedCount++;
-                }
-            } else {
-                if (targets.character) {
-                    const target = resolveCharacterLockTarget(context);
-                    let cleared = false;
-
-                    if (target.mode === 'default-single') {
-                        cleared = this.storage.clearDefaultSingleCharacterLock();
-                    } else if (target.mode === 'character') {
-                        cleared = this.storage.clearCharacterLock(target.key);
-                    }
-
-                    if (cleared) {
-                        clearedCount++;
+            for (const [target, enabled] of Object.entries(targets)) {
+                if (!enabled) continue;
+
+                let cleared = false;
+                if (Array.isArray(items) && items.length) {
+                    const existing = this.getLocksForTarget(target, context);
+                    if (existing) {
+                        const remaining = { ...existing };
+                        for (const item of items) remaining[item] = null;
+                        const isEmpty = Object.values(remaining).every(v => v === null || v === undefined);
+                        cleared = isEmpty
+                            ? await this._clearTargetLock(target, context)
+                            : await this._setTargetLock(target, context, remaining);
                     }
+                } else {
+                    cleared = await this._clearTargetLock(target, context);
                 }
-                if (targets.chat) {
-                    this.storage.clearChatLock();
-                    clearedCount++;
-                }
-            }
 
-            if (targets.model && context.modelName) {
-                this.storage.clearModelLock(context.modelName);
-                clearedCount++;
+                if (cleared) clearedCount++;
             }
 
             return clearedCount > 0;
@@ -1606,108 +3597,575 @@ const result = await callGenericPopup(
             return false;
         }
     }
-}
-
-// ============================================================================
-// Module-level state
-// ============================================================================
 
-let isApplyingSettings = false;
-let processingContext = false;
-let isHandlingPresetChange = false;
-const contextChangeQueue = [];
+    /**
+     * Get the stored lock for a single target dimension in the given context
+     * Targets follow the popup buttons: 'character' means Group in group chats
+     * @param {string} target - 'character', 'chat', 'model', 'source', 'connection', 'preset', 'persona', 'default', 'tag:<tagId>', 'model:<pattern>' or 'generation:<type>'
+     * @param {Object} [context] - From ChatContext.getCurrent()
+     * @returns {Object|null} Stored lock or null
+     */
+    getLocksForTarget(target, context = this.chatContext.getCurrent()) {
+        switch (target) {
+            case 'character': {
+                if (context.isGroupChat) {
+                    return this.storage.getGroupLock(context.groupId);
+                }
+                const characterTarget = resolveCharacterLockTarget(context);
+                if (characterTarget.mode === 'default-single') {
+                    return this.storage.getDefaultSingleCharacterLock();
+                }
+                if (characterTarget.mode === 'character') {
+                    return this.storage.getCharacterLock(characterTarget.key);
+                }
+                return null;
+            }
 
-// ============================================================================
-// SECTION 4: EVENT HANDLERS
-// ============================================================================
+            case 'chat':
+                return this.storage.getChatLock();
 
-/**
- * Module-level instance (initialized in Section 6)
- */
-let settingsManager = null;
+            case 'model':
+                return this.storage.getModelLock(context.modelName, context.completionSource)
+                    || this.storage.getModelLock(context.modelName);
 
-/**
- * Registered event handlers for cleanup
- */
-const registeredEventHandlers = [];
+            case 'source':
+                return this.storage.getSourceLock(context.completionSource);
 
-/**
- * Register event handler with tracking
- * @private
- */
-function registerEventHandler(eventType, handler, description = '') {
-    if (!eventSource || !eventType) {
-        console.warn('STGL: Cannot register event handler - eventSource or eventType missing');
-        return false;
-    }
+            case 'connection':
+                return this.storage.getConnectionLock(context.connectionProfile);
 
-    eventSource.on(eventType, handler);
-    registeredEventHandlers.push({ eventType, handler, description });
-    if (DEBUG_MODE) console.log(`STGL: Registered event handler for ${eventType}${description ? ': ' + description : ''}`);
-    return true;
-}
+            case 'preset':
+                return this.storage.getPresetLock(context.presetName);
 
-/**
- * Main context change handler
- */
-function onContextChanged(source = null) {
-    if (!settingsManager) {
-        if (DEBUG_MODE) console.warn('STGL: settingsManager not initialized');
-        return;
-    }
-    settingsManager.onContextChanged(source);
-    updateDisplay();
-}
+            case 'default':
+                return this.storage.getDefaultLock();
 
-/**
- * Handle GROUP_MEMBER_DRAFTED - apply individual character locks
- */
-async function onGroupMemberDrafted(chId) {
-    if (!settingsManager) return;
+            case 'persona':
+                return this.storage.getPersonaLock(context.personaId);
 
-    try {
-        const preferences = settingsManager.storage.getPreferences();
-        if (!preferences.preferIndividualCharacterInGroup) {
-            if (DEBUG_MODE) console.log('STGL: Individual character locks disabled');
-            return;
+            default:
+                if (target.startsWith('tag:')) return this.storage.getTagLock(target.slice(4));
+                if (target.startsWith('model:')) return this.storage.getModelLock(target.slice(6));
+                if (target.startsWith('generation:')) return this.storage.getGenerationLock(target.slice(11));
+                return null;
         }
+    }
 
-        const chatContext = settingsManager.chatContext.getCurrent();
-        if (!chatContext.isGroupChat) return;
-
-        // Get individual character lock
-        const individualLock = settingsManager.storage.getCharacterLock(chId);
-        if (!individualLock) {
-            if (DEBUG_MODE) console.log(`STGL: No individual lock for character ${chId}`);
-            return;
+    /**
+     * Write a lock for a single target dimension
+     * @private
+     * @returns {Promise<boolean>} Whether anything was saved
+     */
+    async _setTargetLock(target, context, locks) {
+        switch (target) {
+            case 'character': {
+                if (context.isGroupChat) {
+                    return context.groupId ? await this.storage.setGroupLock(context.groupId, locks) : false;
+                }
+                const characterTarget = resolveCharacterLockTarget(context);
+                if (characterTarget.mode === 'default-single') {
+                    return this.storage.setDefaultSingleCharacterLock(locks);
+                }
+                if (characterTarget.mode === 'character') {
+                    const saved = this.storage.setCharacterLock(characterTarget.key, locks);
+                    if (saved) await this._syncCardLock(characterTarget.key, locks);
+                    return saved;
+                }
+                return false;
+            }
+
+            case 'chat':
+                if (context.isGroupChat && !context.groupId) return false;
+                return this.storage.setChatLock(locks);
+
+            case 'model':
+                if (!context.modelName) return false;
+                // Model locks don't include profile
+                return this.storage.setModelLock(context.modelName, restrictLocksToDimension(SETTING_SOURCES.MODEL, locks), context.completionSource);
+
+            case 'source':
+                if (!context.completionSource) return false;
+                return this.storage.setSourceLock(context.completionSource, restrictLocksToDimension(SETTING_SOURCES.SOURCE, locks));
+
+            case 'connection':
+                if (!context.connectionProfile) return false;
+                return this.storage.setConnectionLock(context.connectionProfile, restrictLocksToDimension(SETTING_SOURCES.CONNECTION, locks));
+
+            case 'preset':
+                if (!context.presetName) return false;
+                return this.storage.setPresetLock(context.presetName, restrictLocksToDimension(SETTING_SOURCES.PRESET, locks));
+
+            case 'default':
+                return this.storage.setDefaultLock(locks);
+
+            case 'persona':
+                return context.personaId ? this.storage.setPersonaLock(context.personaId, restrictLocksToDimension(SETTING_SOURCES.PERSONA, locks)) : false;
+
+            default:
+                if (target.startsWith('tag:')) return this.storage.setTagLock(target.slice(4), locks);
+                if (target.startsWith('model:')) return this.storage.setModelLock(target.slice(6), restrictLocksToDimension(SETTING_SOURCES.MODEL, locks));
+                if (target.startsWith('generation:')) return this.storage.setGenerationLock(target.slice(11), locks);
+                return false;
+        }
+    }
+
+    /**
+     * Mirror a character lock into the character card when embedding is enabled
+     * @private
+     */
+    async _syncCardLock(characterKey, locks) {
+        if (typeof characterKey !== 'number' || !this.storage.getPreferences().embedLocksInCards) return;
+        try {
+            const portable = locks ? { ...locks, ...Object.fromEntries(CARD_EXCLUDED_ITEMS.map(item => [item, null])) } : null;
+            await this.storage.setCardLock(characterKey, portable);
+        } catch (error) {
+            console.error('STGL: Error writing lock into character card:', error);
+        }
+    }
+
+    /**
+     * Remove the lock for a single target dimension
+     * @private
+     * @returns {Promise<boolean>} Whether a lock was removed
+     */
+    async _clearTargetLock(target, context) {
+        switch (target) {
+            case 'character': {
+                if (context.isGroupChat) {
+                    return context.groupId ? await this.storage.clearGroupLock(context.groupId) : false;
+                }
+                const characterTarget = resolveCharacterLockTarget(context);
+                if (characterTarget.mode === 'default-single') {
+                    return this.storage.clearDefaultSingleCharacterLock();
+                }
+                if (characterTarget.mode === 'character') {
+                    const cleared = this.storage.clearCharacterLock(characterTarget.key);
+                    if (cleared) await this._syncCardLock(characterTarget.key, null);
+                    return cleared;
+                }
+                return false;
+            }
+
+            case 'chat':
+                return this.storage.clearChatLock();
+
+            case 'model':
+                if (!context.modelName) return false;
+                // Fall back to the lock for any source, like getLocksForTarget
+                return this.storage.clearModelLock(context.modelName, context.completionSource)
+                    || this.storage.clearModelLock(context.modelName);
+
+            case 'source':
+                return context.completionSource ? this.storage.clearSourceLock(context.completionSource) : false;
+
+            case 'connection':
+                return context.connectionProfile ? this.storage.clearConnectionLock(context.connectionProfile) : false;
+
+            case 'preset':
+                return context.presetName ? this.storage.clearPresetLock(context.presetName) : false;
+
+            case 'default':
+                return this.storage.clearDefaultLock();
+
+            case 'persona':
+                return context.personaId ? this.storage.clearPersonaLock(context.personaId) : false;
+
+            default:
+                if (target.startsWith('tag:')) return this.storage.clearTagLock(target.slice(4));
+                if (target.startsWith('model:')) return this.storage.clearModelLock(target.slice(6));
+                if (target.startsWith('generation:')) return this.storage.clearGenerationLock(target.slice(11));
+                return false;
         }
+    }
+}
 
-        if (DEBUG_MODE) console.log(`STGL: Applying individual locks for character ${chId}:`, individualLock);
+// ============================================================================
+// Module-level state
+// ============================================================================
 
-        // Respect priority order: overlay individual ONLY over Group at the Character/Group position
-        const originalContextId = chatContext.primaryId;
+let isApplyingSettings = false;
+let processingContext = false;
+let isHandlingPresetChange = false;
+let temporaryLockDepth = 0;
+let lastChatPhase = null; // { chatId, phaseId } - detects phase boundary crossings
+let recentChats = { current: null, previous: null }; // { chatId, ownerId, metadata } - chat lock inheritance source
+let knownCharacterAvatars = null; // Set of avatars already listed - detects imported/created characters
+const contextChangeQueue = [];
 
-        // Resolve current winners first
-        const resolved = settingsManager.priorityResolver.resolve(chatContext, preferences);
+// ============================================================================
+// SECTION 4: EVENT HANDLERS
+// ============================================================================
 
-        // Build merged locks where individual only overrides items whose winner is Group
-        const mergedLocks = {
-            profile: resolved.locks.profile,
-            preset: resolved.locks.preset,
-            template: resolved.locks.template,
-        };
+/**
+ * Module-level instance (initialized in Section 9)
+ */
+let settingsManager = null;
+
+/**
+ * Registered event handlers for cleanup
+ */
+const registeredEventHandlers = [];
+
+/**
+ * Register event handler with tracking
+ * @private
+ */
+function registerEventHandler(eventType, handler, description = '') {
+    if (!eventSource || !eventType) {
+        console.warn('STGL: Cannot register event handler - eventSource or eventType missing');
+        return false;
+    }
+
+    eventSource.on(eventType, handler);
+    registeredEventHandlers.push({ eventType, handler, description });
+    if (DEBUG_MODE) console.log(`STGL: Registered event handler for ${eventType}${description ? ': ' + description : ''}`);
+    return true;
+}
+
+/**
+ * Main context change handler
+ */
+function onContextChanged(source = null) {
+    if (!settingsManager) {
+        if (DEBUG_MODE) console.warn('STGL: settingsManager not initialized');
+        return;
+    }
+    settingsManager.onContextChanged(source);
+    updateDisplay();
+}
+
+/**
+ * Remember the open chat. ST replaces chat_metadata on chat switch, so the kept object
+ * still holds the left chat's lock afterwards.
+ */
+function trackCurrentChat() {
+    const context = settingsManager.chatContext.getCurrent();
+    const chatId = context.secondaryId ?? null;
+    if (!chatId || recentChats.current?.chatId === chatId) return;
+
+    recentChats = {
+        current: { chatId, ownerId: context.primaryId, metadata: chat_metadata },
+        previous: recentChats.current
+    };
+}
+
+/**
+ * Copy the previous chat's lock into the current chat if it is a branch of that chat, or a new
+ * chat of the same character/group. An existing chat lock is never overwritten.
+ * @param {boolean} isNewChat - Called for a newly created chat
+ * @returns {boolean} Whether a lock was copied
+ */
+function inheritChatLock(isNewChat) {
+    const storage = settingsManager.storage;
+    const preferences = storage.getPreferences();
+    const context = settingsManager.chatContext.getCurrent();
+    if (!context.secondaryId || !chat_metadata || storage.getChatLock()) return false;
+
+    // CHAT_CREATED may fire before or after CHAT_CHANGED tracked the new chat
+    const source = recentChats.current?.chatId === context.secondaryId ? recentChats.previous : recentChats.current;
+    const sourceLock = source?.metadata?.[storage.EXTENSION_KEY];
+    if (!sourceLock) return false;
+
+    // A branch keeps its marker, so clearing the inherited lock sticks on later visits
+    const isBranch = !!chat_metadata.main_chat && chat_metadata.main_chat === source.chatId
+        && !chat_metadata[CHAT_INHERITED_KEY];
+    const isSameOwnerNewChat = isNewChat && source.ownerId === context.primaryId;
+
+    if (!(isBranch && preferences.inheritChatLockOnBranch) && !(isSameOwnerNewChat && preferences.inheritChatLockOnNewChat)) {
+        return false;
+    }
+
+    chat_metadata[CHAT_INHERITED_KEY] = source.chatId;
+    if (!storage.setChatLock(lodash.cloneDeep(sourceLock))) return false;
+
+    if (DEBUG_MODE) console.log(`STGL: Inherited chat lock from ${source.chatId}`);
+    return true;
+}
+
+/**
+ * Keep only lockable items with valid values from a card payload; CARD_EXCLUDED_ITEMS never come from a card
+ * @returns {Object} { profile, preset, template, parameters, worldinfo, persona, qrsets }
+ */
+function sanitizeCardLock(lock) {
+    return Object.fromEntries(Object.values(LOCKABLE_ITEMS).map(item => [
+        item,
+        CARD_EXCLUDED_ITEMS.includes(item) ? null : normalizeLockValue(item, lock?.[item]) ?? null
+    ]));
+}
+
+/**
+ * Offer to adopt the lock embedded in a character's card. Each card is asked about once,
+ * and only while the character has no stored lock of its own.
+ * @param {number|null} [chId] - Character index; the open character when omitted
+ * @returns {Promise<boolean>} Whether the lock was adopted
+ */
+async function offerCardLockAdoption(chId = null) {
+    const storage = settingsManager.storage;
+    if (chId === null) {
+        const characterTarget = resolveCharacterLockTarget(settingsManager.chatContext.getCurrent());
+        if (characterTarget.mode !== 'character') return false;
+        chId = characterTarget.key;
+    }
+    if (typeof chId !== 'number' || chId < 0) return false;
+
+    const avatar = characters[chId]?.avatar;
+    const card = storage.getCardLock(chId);
+    if (!card || !avatar || storage.isCardLockPrompted(avatar) || storage.getCharacterLock(chId)) return false;
+    storage.markCardLockPrompted(avatar);
+
+    const lock = sanitizeCardLock(card.lock);
+    const templates = (Array.isArray(card.templates) ? card.templates : []).filter(t => TemplateOps.validate(t));
+    const describe = (item, value) => {
+        switch (item) {
+            case LOCKABLE_ITEMS.TEMPLATE: return templates.find(t => t.id === value)?.name || value;
+            case LOCKABLE_ITEMS.PARAMETERS: return ParameterOps.describe(value);
+            case LOCKABLE_ITEMS.WORLD_INFO: return WorldInfoOps.describe(value);
+            case LOCKABLE_ITEMS.QUICK_REPLIES: return QuickReplyOps.describe(value);
+            default: return value;
+        }
+    };
+    // Every item that would be adopted; [] (none active) is a lock too
+    const lines = Object.values(LOCKABLE_ITEMS)
+        .filter(item => lock[item] !== null)
+        .map(item => `${LOCKABLE_ITEM_LABELS[item] || `${item.charAt(0).toUpperCase()}${item.slice(1)}`} → <b>${lodash.escape(describe(item, lock[item]))}</b>`);
+    if (!lines.length) return false;
+
+    const result = await callGenericPopup(
+        `<h3>${lodash.escape(characters[chId].name)} carries Generation Locks</h3>
+         <div>
+           ${lines.join('<br>')}
+         </div>
+         <small class="text_muted">Connection profiles and personas are specific to each install and are never taken from a card.</small>
+         <div class="marginTop10">Adopt them as this character's lock?</div>`,
+        POPUP_TYPE.CONFIRM,
+        '',
+        { okButton: 'Adopt', cancelButton: 'Ignore' }
+    );
+    if (result !== POPUP_RESULT.AFFIRMATIVE) return false;
+
+    // Templates already present locally are kept as they are
+    for (const template of templates) {
+        if (!storage.getTemplate(template.id)) storage.saveTemplate(lodash.cloneDeep(template));
+    }
+    if (!storage.setCharacterLock(chId, lock)) return false;
 
-        const items = [LOCKABLE_ITEMS.PROFILE, LOCKABLE_ITEMS.PRESET, LOCKABLE_ITEMS.TEMPLATE];
-        for (const item of items) {
-            const winner = resolved.sources[item];
-            const value = individualLock[item];
-            const isValueSet = value !== undefined && value !== null && (typeof value !== 'string' || value.trim().length > 0);
-            if (winner === SETTING_SOURCES.GROUP && isValueSet) {
-                mergedLocks[item] = value;
+    try { toastr.success('Character card locks adopted'); } catch (e) {}
+    return true;
+}
+
+/**
+ * Avatars of characters that appeared since the last call; the first call with a loaded list only records it
+ * @returns {string[]}
+ */
+function takeNewCharacterAvatars() {
+    const avatars = (Array.isArray(characters) ? characters : []).map(c => c?.avatar).filter(Boolean);
+    if (!knownCharacterAvatars) {
+        if (avatars.length) knownCharacterAvatars = new Set(avatars);
+        return [];
+    }
+    const added = avatars.filter(avatar => !knownCharacterAvatars.has(avatar));
+    added.forEach(avatar => knownCharacterAvatars.add(avatar));
+    return added;
+}
+
+/**
+ * Handle CHARACTER_PAGE_LOADED - offer card locks of characters imported or created since the last render.
+ * Opening a chat with the character still offers them when this event is unavailable.
+ */
+function onCharacterListLoaded() {
+    if (!settingsManager) return;
+
+    const added = takeNewCharacterAvatars();
+    if (!added.length) return;
+
+    // Not awaited, like the CHAT_CHANGED offer; the popups still come one after another
+    (async () => {
+        for (const avatar of added) {
+            try {
+                await offerCardLockAdoption(characters.findIndex(c => c?.avatar === avatar));
+            } catch (error) {
+                console.error('STGL: Error adopting character card locks:', error);
+            }
+        }
+    })();
+}
+
+/**
+ * Handle CHAT_CHANGED - inherit a branch's chat lock, offer card locks, then re-resolve
+ */
+async function onChatChanged(chatId) {
+    if (!settingsManager) return;
+
+    // The drafted member of the previous chat is not speaking here
+    settingsManager.chatContext.setSpeaker(-1);
+    // Track phases from the loaded chat on, so the first message only re-resolves on a real crossing
+    lastChatPhase = readChatPhase();
+    try {
+        inheritChatLock(false);
+    } catch (error) {
+        console.error('STGL: Error inheriting chat lock:', error);
+    }
+    trackCurrentChat();
+
+    // Not awaited: the modal must not hold up other extensions' CHAT_CHANGED listeners
+    offerCardLockAdoption()
+        .then(adopted => { if (adopted) onContextChanged('card locks adopted'); })
+        .catch(error => console.error('STGL: Error adopting character card locks:', error));
+    onContextChanged(chatId);
+}
+
+/**
+ * Handle CHAT_CREATED / GROUP_CHAT_CREATED - inherit the previous chat's lock
+ * @param {boolean} alwaysResolve - Re-resolve even when nothing was inherited
+ */
+function onChatCreated(alwaysResolve) {
+    if (!settingsManager) return;
+
+    settingsManager.chatContext.invalidate();
+    let inherited = false;
+    try {
+        inherited = inheritChatLock(true);
+    } catch (error) {
+        console.error('STGL: Error inheriting chat lock:', error);
+    }
+    if (inherited || alwaysResolve) onContextChanged('chat created');
+}
+
+/**
+ * Handle GENERATION_STARTED - remember the generation type and re-resolve
+ * @param {string} type - normal, swipe, continue, impersonate, quiet, regenerate, ...
+ * @param {Object} params - Generation parameters
+ * @param {boolean} dryRun - Prompt building only (token counting, itemization)
+ */
+async function onGenerationStarted(type, params, dryRun) {
+    if (!settingsManager) return;
+
+    // Dry runs don't generate anything; switching settings for them would only cause churn
+    if (dryRun) {
+        if (DEBUG_MODE) console.log('STGL: Ignoring dry-run generation');
+        return;
+    }
+
+    const generationType = type || GENERATION_TYPES.NORMAL;
+    settingsManager.chatContext.setGenerationType(generationType);
+
+    // A pending one-shot is kept for the next visible generation, not background ones
+    if (settingsManager.nextGenerationLocks && generationType !== GENERATION_TYPES.QUIET) {
+        try {
+            if (await settingsManager.beginOneShotGeneration()) {
+                if (DEBUG_MODE) console.log('STGL: Applied next-generation locks');
+                return;
             }
+        } catch (error) {
+            console.error('STGL: Error applying next-generation locks:', error);
+        }
+    }
+
+    // Generation-type locks must be in place before ST builds the prompt; everything else can be queued
+    try {
+        if (await settingsManager.beginGenerationLocks()) return;
+    } catch (error) {
+        console.error('STGL: Error applying generation-type locks:', error);
+    }
+
+    onContextChanged(event_types.GENERATION_STARTED);
+}
+
+/**
+ * Handle GENERATION_ENDED/GENERATION_STOPPED - forget the generation type and drafted speaker, and
+ * restore what generation-type locks switched to its state from before the generation
+ */
+async function onGenerationEnded() {
+    if (!settingsManager) return;
+
+    settingsManager.chatContext.setGenerationType(null);
+    // Individual locks only apply while the drafted member generates
+    settingsManager.chatContext.setSpeaker(-1);
+
+    // One-shot locks restore the exact state from before the generation
+    try {
+        if (await settingsManager.endOneShotGeneration()) return;
+    } catch (error) {
+        console.error('STGL: Error restoring state after next-generation locks:', error);
+    }
+
+    if (temporaryLockDepth > 0) return;
+
+    try {
+        if (await settingsManager.endGenerationLocks()) {
+            if (DEBUG_MODE) console.log('STGL: Restored state from before generation-type locks');
+        }
+    } catch (error) {
+        console.error('STGL: Error restoring locks after generation:', error);
+    }
+}
+
+/**
+ * Read the phase the current chat is in
+ * @returns {{ chatId: string, phaseId: string|null, phaseName: string|null }}
+ */
+function readChatPhase() {
+    const context = settingsManager.chatContext.getCurrent();
+    const phase = PhaseOps.findActive(settingsManager.storage.getPhases(), context.messageCount);
+    return { chatId: context.secondaryId, phaseId: phase?.id ?? null, phaseName: phase?.name ?? null };
+}
+
+/**
+ * Handle MESSAGE_RECEIVED/MESSAGE_SENT/MESSAGE_DELETED - re-resolve when the chat crosses a phase boundary
+ */
+function onMessageCountChanged() {
+    if (!settingsManager) return;
+
+    settingsManager.chatContext.invalidate();
+    const context = settingsManager.chatContext.getCurrent();
+    const current = readChatPhase();
+
+    // A different chat is handled by CHAT_CHANGED; only react within the same chat
+    const crossed = lastChatPhase?.chatId === current.chatId && lastChatPhase.phaseId !== current.phaseId;
+    lastChatPhase = current;
+
+    if (crossed) {
+        if (DEBUG_MODE) console.log(`STGL: Chat phase changed at ${context.messageCount} messages:`, current.phaseName ?? 'none');
+        onContextChanged('chat phase');
+    }
+}
+
+/**
+ * Handle GROUP_MEMBER_DRAFTED - track the speaker and apply locks with the Individual dimension
+ */
+async function onGroupMemberDrafted(chId) {
+    if (!settingsManager) return;
+
+    try {
+        settingsManager.chatContext.setSpeaker(Number(chId));
+
+        const preferences = settingsManager.storage.getPreferences();
+        if (!preferences.preferIndividualCharacterInGroup) {
+            if (DEBUG_MODE) console.log('STGL: Individual character locks disabled');
+            updateDisplay();
+            return;
+        }
+
+        const chatContext = settingsManager.chatContext.getCurrent();
+        if (!chatContext.isGroupChat) return;
+
+        // Temporary and one-shot locks must not be overwritten mid-generation
+        if (temporaryLockDepth > 0) {
+            if (DEBUG_MODE) console.log('STGL: Skipping individual locks during temporary locks');
+            return;
+        }
+
+        if (!settingsManager.storage.getCharacterLock(chatContext.speakerChId)) {
+            if (DEBUG_MODE) console.log(`STGL: No individual lock for character ${chId}`);
+            updateDisplay();
+            return;
         }
 
-        await settingsManager._applyLocksToUI(mergedLocks, originalContextId);
+        // Individual takes part in the cascade at its own priority slot
+        const resolved = settingsManager.resolveLocks(chatContext);
+        if (DEBUG_MODE) console.log(`STGL: Applying locks for drafted character ${chId}:`, resolved);
+
+        await settingsManager._applyLocksToUI(resolved.locks, chatContext.primaryId, resolved.sources);
 
         updateDisplay();
     } catch (error) {
@@ -1721,6 +4179,22 @@ async function onGroupMemberDrafted(chId) {
 async function onPresetChanged() {
     console.log('STGL: Preset changed event received');
 
+    // Temporary locks switch presets on purpose; the previous state is restored afterwards
+    if (temporaryLockDepth > 0) {
+        if (DEBUG_MODE) console.log('STGL: Ignoring preset change during temporary locks');
+        updateDisplay();
+        return;
+    }
+
+    // The loaded preset replaced any overridden parameter values
+    settingsManager?.parameterLocker.forgetBaseline();
+
+    // STGL's own preset switches are followed by the rest of the resolved locks
+    if (isApplyingSettings) {
+        if (DEBUG_MODE) console.log('STGL: Ignoring preset change while applying locks');
+        return;
+    }
+
     // Set flag to prevent auto-apply during preset change handling
     isHandlingPresetChange = true;
 
@@ -1732,25 +4206,42 @@ async function onPresetChanged() {
     }
 
     try {
-        // Get current locked template
+        // Get current locked template (the new preset can bring its own coupled template)
+        settingsManager.chatContext.invalidate();
+        // Single pass on purpose: the preset the user just picked stays, so coupled locks follow it
         const context = settingsManager.chatContext.getCurrent();
         const preferences = settingsManager.storage.getPreferences();
         const resolved = settingsManager.priorityResolver.resolve(context, preferences);
 
+        // Parameter overrides sit on top of whichever preset is active; loading a preset resets them
+        if (resolved.locks.parameters
+            && await settingsManager._shouldApplyAutomatically(null, { items: [LOCKABLE_ITEMS.PARAMETERS], resolved })) {
+            await settingsManager.parameterLocker.applyParameters(resolved.locks.parameters, context.primaryId);
+        }
+
         console.log('STGL: Resolved template lock:', resolved.locks.template);
 
-        // If there's a locked template, check if we need to restore it
-        if (resolved.locks.template) {
-            // Check if current prompts match the locked template
-            const promptsMatchTemplate = settingsManager.templateLocker.compareWithTemplate(resolved.locks.template);
+        // Picking a preset by hand brings its coupled template, whatever outranks Preset in the cascade
+        const coupledTemplateId = settingsManager.storage.getPresetLock(context.presetName)?.template;
+        const coupledTemplate = coupledTemplateId && settingsManager.storage.getTemplate(coupledTemplateId) ? coupledTemplateId : null;
+        const targetTemplate = coupledTemplate || resolved.locks.template;
+
+        // If there's a coupled or locked template, check if we need to apply it
+        if (targetTemplate) {
+            // Check if current prompts match the template
+            const promptsMatchTemplate = settingsManager.templateLocker.compareWithTemplate(targetTemplate);
 
             console.log('STGL: Prompts match template?', promptsMatchTemplate);
 
-            // Template differs from locked one - handle per auto-apply preference
+            // Template differs - handle per auto-apply preference
             if (!promptsMatchTemplate) {
                 const mode = preferences.autoApplyOnContextChange ?? AUTO_APPLY_MODES.ASK;
 
-                if (mode === AUTO_APPLY_MODES.ALWAYS) {
+                if (coupledTemplate && mode !== AUTO_APPLY_MODES.NEVER) {
+                    // The template belongs to the preset the user just picked - no need to ask
+                    await settingsManager.templateLocker.applyTemplate(coupledTemplate, context.primaryId);
+                    try { if (preferences.showNotifications) toastr.success('Preset template applied'); } catch (e) {}
+                } else if (mode === AUTO_APPLY_MODES.ALWAYS) {
                     const originalContextId = context.primaryId;
                     await settingsManager.templateLocker.applyTemplate(resolved.locks.template, originalContextId);
                     try { toastr.success('Template restored'); } catch (e) {}
@@ -1758,7 +4249,7 @@ async function onPresetChanged() {
                     const templateObj = settingsManager.storage.getTemplate(resolved.locks.template);
                     const templateName = templateObj ? templateObj.name : resolved.locks.template;
                     const isGroupChat = context.isGroupChat;
-                    const toTitleCase = (s) => s ? ({ chat: 'Chat', character: isGroupChat ? 'Character/Group' : 'Character', group: isGroupChat ? 'Character/Group' : 'Group', model: 'Model', individual: 'Individual' }[s] || s) : null;
+                    const toTitleCase = (s) => formatSourceLabel(s, isGroupChat);
                     const sourceLabel = resolved.sources?.template ? toTitleCase(resolved.sources.template) : 'unknown';
 
                     const message = `The preset you selected may have changed your completion template.<br><br>` +
@@ -1813,7 +4304,7 @@ function updateDisplay() {
         const { locks, sources } = settingsManager.getCurrentLocks();
         const context = settingsManager.chatContext.getCurrent();
         const isGroupChat = context.isGroupChat;
-        const toTitleCase = (s) => s ? ({ chat: 'Chat', character: isGroupChat ? 'Character/Group' : 'Character', group: isGroupChat ? 'Character/Group' : 'Group', model: 'Model', individual: 'Individual' }[s] || s) : null;
+        const toTitleCase = (s) => formatSourceLabel(s, isGroupChat);
 
         // Remove existing display
         const existing = document.getElementById('stgl-status-indicator');
@@ -1821,7 +4312,7 @@ function updateDisplay() {
 
         // Build display HTML
         let html = '';
-        const hasLock = locks.profile || locks.preset || locks.template;
+        const hasLock = Object.values(locks).some(Boolean);
         
         if (hasLock) {
             html += '<div><span class="fa-solid fa-lock"></span> <b>Locked:</b> ';
@@ -1865,17 +4356,50 @@ function updateDisplay() {
 
                 parts.push(`<span>${templateDisplay}</span>`);
             }
-            html += parts.join(' | ');
-            html += '</div>';
-        } else {
-            html = '<span class="fa-solid fa-circle-info"></span> No generation locks applied for this context.';
-        }
+            if (locks.parameters) {
+                let parametersDisplay = `<i class="fa-solid fa-gauge" title="Parameters"></i> ${lodash.escape(ParameterOps.describe(locks.parameters))} <small class="text_muted">(${toTitleCase(sources.parameters)})</small>`;
+                if (!ParameterOps.matchesCurrent(locks.parameters)) {
+                    parametersDisplay += ` <i class="fa-solid fa-triangle-exclamation" style="color: orange;" title="Locked parameters are not currently active"></i> <small style="color: orange;">(not active)</small>`;
+                }
 
-        // Append inline indicator for Individual-over-Group when enabled in group chats
-        try {
-            const prefs = settingsManager.storage.getPreferences ? settingsManager.storage.getPreferences() : {};
+                parts.push(`<span>${parametersDisplay}</span>`);
+            }
+            if (locks.worldinfo) {
+                let worldInfoDisplay = `<i class="fa-solid fa-book-atlas" title="World Info"></i> ${lodash.escape(WorldInfoOps.describe(locks.worldinfo))} <small class="text_muted">(${toTitleCase(sources.worldinfo)})</small>`;
+                if (!settingsManager.worldInfoLocker.matchesCurrent(locks.worldinfo)) {
+                    worldInfoDisplay += ` <i class="fa-solid fa-triangle-exclamation" style="color: orange;" title="Locked lorebooks are not currently active"></i> <small style="color: orange;">(not active)</small>`;
+                }
+
+                parts.push(`<span>${worldInfoDisplay}</span>`);
+            }
+            if (locks.persona) {
+                const personaName = settingsManager.personaLocker.getPersonaName(locks.persona) || 'Unknown Persona';
+                let personaDisplay = `<i class="fa-solid fa-user" title="Persona"></i> ${lodash.escape(personaName)} <small class="text_muted">(${toTitleCase(sources.persona)})</small>`;
+                if (settingsManager.personaLocker.getCurrentPersona() !== locks.persona) {
+                    personaDisplay += ` <i class="fa-solid fa-triangle-exclamation" style="color: orange;" title="Locked persona is not currently active"></i> <small style="color: orange;">(not active)</small>`;
+                }
+
+                parts.push(`<span>${personaDisplay}</span>`);
+            }
+            if (locks.qrsets) {
+                let quickRepliesDisplay = `<i class="fa-solid fa-bolt" title="Quick Reply sets"></i> ${lodash.escape(QuickReplyOps.describe(locks.qrsets))} <small class="text_muted">(${toTitleCase(sources.qrsets)})</small>`;
+                if (!settingsManager.quickReplyLocker.matchesCurrent(locks.qrsets)) {
+                    quickRepliesDisplay += ` <i class="fa-solid fa-triangle-exclamation" style="color: orange;" title="Locked Quick Reply sets are not currently enabled"></i> <small style="color: orange;">(not active)</small>`;
+                }
+
+                parts.push(`<span>${quickRepliesDisplay}</span>`);
+            }
+            html += parts.join(' | ');
+            html += '</div>';
+        } else {
+            html = '<span class="fa-solid fa-circle-info"></span> No generation locks applied for this context.';
+        }
+
+        // Append inline indicator for Individual-over-Group when enabled in group chats
+        try {
+            const prefs = settingsManager.storage.getPreferences ? settingsManager.storage.getPreferences() : {};
             if (isGroupChat && prefs.preferIndividualCharacterInGroup) {
-                const tip = 'Individual character overrides are enabled. In group chats, saved settings for the drafted character may override Group settings only.';
+                const tip = 'Individual character locks are enabled. In group chats, saved settings for the drafted character apply at the Individual priority slot.';
                 html += ` <i class="fa-solid fa-user-lock" title="${tip}"></i>`;
             }
         } catch (e) {
@@ -1903,9 +4427,42 @@ function updateDisplay() {
 function registerAllEventHandlers() {
     try {
         // Primary context change events
-        registerEventHandler(event_types.CHAT_CHANGED, onContextChanged, 'character/chat change');
-        registerEventHandler(event_types.GROUP_CHAT_CREATED, onContextChanged, 'group chat creation');
-        registerEventHandler(event_types.GENERATION_STARTED, () => onContextChanged(event_types.GENERATION_STARTED), 'message received');
+        registerEventHandler(event_types.CHAT_CHANGED, onChatChanged, 'character/chat change');
+        registerEventHandler(event_types.GROUP_CHAT_CREATED, () => onChatCreated(true), 'group chat creation');
+        if (event_types.CHAT_CREATED) {
+            registerEventHandler(event_types.CHAT_CREATED, () => onChatCreated(false), 'chat creation');
+        }
+        registerEventHandler(event_types.GENERATION_STARTED, onGenerationStarted, 'generation started');
+        registerEventHandler(event_types.GENERATION_ENDED, onGenerationEnded, 'generation ended');
+        if (event_types.GENERATION_STOPPED) {
+            registerEventHandler(event_types.GENERATION_STOPPED, onGenerationEnded, 'generation stopped');
+        }
+
+        // New/removed messages can move the chat into another phase
+        registerEventHandler(event_types.MESSAGE_RECEIVED, onMessageCountChanged, 'message received');
+        registerEventHandler(event_types.MESSAGE_SENT, onMessageCountChanged, 'message sent');
+        if (event_types.MESSAGE_DELETED) {
+            registerEventHandler(event_types.MESSAGE_DELETED, onMessageCountChanged, 'message deleted');
+        }
+
+        // Persona switches can change the persona dimension (STGL's own switches are already resolved)
+        if (event_types.PERSONA_CHANGED) {
+            registerEventHandler(event_types.PERSONA_CHANGED, () => {
+                if (!isApplyingSettings) onContextChanged();
+            }, 'persona change');
+        }
+
+        // Profile switches can change the connection profile dimension (STGL's own switches are already resolved)
+        if (event_types.CONNECTION_PROFILE_LOADED) {
+            registerEventHandler(event_types.CONNECTION_PROFILE_LOADED, () => {
+                if (!isApplyingSettings) onContextChanged();
+            }, 'connection profile loaded');
+        }
+
+        // The character list is re-rendered after an import or creation
+        if (event_types.CHARACTER_PAGE_LOADED) {
+            registerEventHandler(event_types.CHARACTER_PAGE_LOADED, onCharacterListLoaded, 'character list loaded');
+        }
 
         // Individual character locks in groups
         if (event_types.GROUP_MEMBER_DRAFTED) {
@@ -1962,38 +4519,50 @@ const lockManagementTemplate = Handlebars.compile(`
 
 <div class="completion_prompt_manager_popup_entry_form_control">
     <h4 class="standoutHeader">📊 Priority Order:</h4>
+    <label class="checkbox_label">
+        <input type="checkbox" id="stgl-priority-per-item" {{#if priorityPerItem}}checked{{/if}}>
+        <span>Separate order for each item (profile, preset, template, parameters, world info, persona, Quick Reply sets)</span>
+    </label>
     <div id="stgl-priority-dropdowns" class="marginTop10 alignItemsCenter">
-        <div class="flex-container flexFlowRow flexGap10">
-            <label class="flex1">1st (highest):</label>
-            <select id="stgl-priority-select-1" class="flex1">
-                {{#each priorityOptions1}}
-                <option value="{{value}}" {{#if selected}}selected{{/if}}>{{label}}</option>
-                {{/each}}
-            </select>
-        </div>
-        <div class="flex-container flexFlowRow flexGap10">
-            <label class="flex1">2nd:</label>
-            <select id="stgl-priority-select-2" class="flex1">
-                {{#each priorityOptions2}}
-                <option value="{{value}}" {{#if selected}}selected{{/if}}>{{label}}</option>
-                {{/each}}
-            </select>
+        {{#each priorityEditors}}
+        <div class="stgl-priority-editor marginTop10" data-item="{{item}}" {{#if hidden}}style="display: none;"{{/if}}>
+            {{#if title}}<strong>{{title}}</strong>{{/if}}
+            {{#each selects}}
+            <div class="flex-container flexFlowRow flexGap10">
+                <label class="flex1">{{label}}:</label>
+                <select id="{{id}}" class="flex1 stgl-priority-select">
+                    {{#each options}}
+                    <option value="{{value}}" {{#if selected}}selected{{/if}}>{{label}}</option>
+                    {{/each}}
+                </select>
+            </div>
+            {{/each}}
         </div>
-        <div class="flex-container flexFlowRow flexGap10">
-            <label class="flex1">3rd (lowest):</label>
-            <select id="stgl-priority-select-3" class="flex1">
-                {{#each priorityOptions3}}
-                <option value="{{value}}" {{#if selected}}selected{{/if}}>{{label}}</option>
-                {{/each}}
-            </select>
+        {{/each}}
+    </div>
+</div>
+
+{{#if tagPrecedence.length}}
+<div class="completion_prompt_manager_popup_entry_form_control">
+    <h4 class="standoutHeader">🏷️ Tag Precedence:</h4>
+    <small class="text_muted">When a character has several tagged locks, tags higher in this list win.</small>
+    <div id="stgl-tag-precedence" class="marginTop10 flex-container flexFlowColumn flexGap5">
+        {{#each tagPrecedence}}
+        <div class="stgl-tag-precedence-item flex-container alignItemsCenter flexGap5" data-tag-id="{{id}}">
+            <div class="menu_button stgl-tag-up" title="Move up">▲</div>
+            <div class="menu_button stgl-tag-down" title="Move down">▼</div>
+            <span>{{name}}</span>
+            <small class="text_muted">{{lockInfo}}</small>
         </div>
+        {{/each}}
     </div>
 </div>
+{{/if}}
 
 <div class="completion_prompt_manager_popup_entry_form_control alignItemsCenter">
     <label class="checkbox_label">
         <input type="checkbox" id="stgl-prefer-individual" {{#if preferIndividualCharacterInGroup}}checked{{/if}}>
-        <span>In group chats, always prefer individual character settings over group settings</span>
+        <span>In group chats, use individual character locks for the drafted character (Individual priority slot)</span>
     </label>
 </div>
 
@@ -2048,13 +4617,392 @@ const lockManagementTemplate = Handlebars.compile(`
             {{/if}}
             {{#if modelLocks}}
             <div class="text_pole padding10">
-                <strong>Model:</strong> {{modelName}}<br>
+                <strong>Model:</strong> {{modelName}}{{#if modelMatchKey}} <small class="text_muted">(via pattern {{modelMatchKey}})</small>{{/if}}{{#if modelMatchAnySource}} <small class="text_muted">(any source)</small>{{/if}}<br>
                 {{modelLocks}}
             </div>
             {{/if}}
         </div>
     </div>
 {{/if}}
+
+<div class="completion_prompt_manager_popup_entry_form_control">
+    <h4 class="standoutHeader">⏭️ Next Generation:</h4>
+    <small class="text_muted">Used for the next generation only, then the previous settings come back. No stored lock is changed.</small>
+    <div class="text_pole padding10 marginTop10 flex-container alignItemsCenter justifySpaceBetween flexGap10">
+        <div class="flex1">
+            {{#if nextGeneration}}{{nextGeneration}}{{else}}<span class="text_muted">Nothing queued</span>{{/if}}
+        </div>
+        <div class="flex-container flexGap5">
+            <div class="menu_button stgl-next-set" title="Queue settings for the next generation">✏️ Set</div>
+            {{#if nextGeneration}}<div class="menu_button stgl-next-clear" title="Cancel the queued settings">❌ Cancel</div>{{/if}}
+        </div>
+    </div>
+</div>
+
+<div class="completion_prompt_manager_popup_entry_form_control">
+    <h4 class="standoutHeader">🎛️ Parameter Overrides:</h4>
+    <small class="text_muted">Temperature, top P, max tokens and similar values applied on top of the winning preset, resolved through the same priority order. {{unavailableHints.parameters}}</small>
+    <div class="text_pole padding10 marginTop10 flex-container alignItemsCenter justifySpaceBetween flexGap10">
+        <div class="flex1">
+            {{#if parameters}}{{parameters}} <small class="text_muted">(from {{parametersSource}})</small>{{else}}<span class="text_muted">No overrides</span>{{/if}}
+        </div>
+        <div class="menu_button stgl-parameters-edit" title="Edit parameter overrides">✏️ Edit</div>
+    </div>
+</div>
+
+<div class="completion_prompt_manager_popup_entry_form_control">
+    <h4 class="standoutHeader">📚 World Info:</h4>
+    <small class="text_muted">Globally active lorebooks, switched after the template. {{unavailableHints.worldinfo}}</small>
+    <div class="text_pole padding10 marginTop10 flex-container alignItemsCenter justifySpaceBetween flexGap10">
+        <div class="flex1">
+            {{#if worldInfo}}{{worldInfo}} <small class="text_muted">(from {{worldInfoSource}})</small>{{else}}<span class="text_muted">Not locked</span>{{/if}}
+        </div>
+        <div class="menu_button stgl-namelist-edit" data-item="worldinfo" title="Edit the world info lock">✏️ Edit</div>
+    </div>
+</div>
+
+<div class="completion_prompt_manager_popup_entry_form_control">
+    <h4 class="standoutHeader">👤 Persona:</h4>
+    <small class="text_muted">User persona switched when the locks are applied. {{unavailableHints.persona}}</small>
+    <div class="text_pole padding10 marginTop10 flex-container alignItemsCenter justifySpaceBetween flexGap10">
+        <div class="flex1">
+            {{#if persona}}{{persona}} <small class="text_muted">(from {{personaSource}})</small>{{else}}<span class="text_muted">Not locked</span>{{/if}}
+        </div>
+        <div class="menu_button stgl-persona-edit" title="Edit the persona lock">✏️ Edit</div>
+    </div>
+</div>
+
+<div class="completion_prompt_manager_popup_entry_form_control">
+    <h4 class="standoutHeader">⚡ Quick Reply Sets:</h4>
+    <small class="text_muted">Globally enabled Quick Reply sets, e.g. the toolbar that goes with a campaign's template. {{unavailableHints.qrsets}}</small>
+    <div class="text_pole padding10 marginTop10 flex-container alignItemsCenter justifySpaceBetween flexGap10">
+        <div class="flex1">
+            {{#if quickReplies}}{{quickReplies}} <small class="text_muted">(from {{quickRepliesSource}})</small>{{else}}<span class="text_muted">Not locked</span>{{/if}}
+        </div>
+        <div class="menu_button stgl-namelist-edit" data-item="qrsets" title="Edit the Quick Reply lock">✏️ Edit</div>
+    </div>
+</div>
+
+{{#if otherTargets.length}}
+    <div class="completion_prompt_manager_popup_entry_form_control">
+        <h4 class="standoutHeader">🧷 Other Locks:</h4>
+        <div class="marginTop10 flex-container flexFlowColumn flexGap10">
+            {{#each otherTargets}}
+            <div class="text_pole padding10 flex-container alignItemsCenter justifySpaceBetween flexGap10">
+                <div class="flex1">
+                    <strong>{{label}}:</strong> {{keyLabel}}<br>
+                    {{lockInfo}}
+                    {{#if note}}<br><small class="text_muted">{{note}}</small>{{/if}}
+                </div>
+                {{#if available}}
+                <div class="flex-container flexGap5">
+                    <div class="menu_button stgl-target-set" data-target="{{target}}" title="Save current settings as {{label}} lock">✔️ Set</div>
+                    <div class="menu_button stgl-target-clear" data-target="{{target}}" title="Clear {{label}} lock">❌ Clear</div>
+                </div>
+                {{/if}}
+            </div>
+            {{/each}}
+        </div>
+    </div>
+{{/if}}
+
+<div class="completion_prompt_manager_popup_entry_form_control">
+    <h4 class="standoutHeader">🤖 Model Patterns:</h4>
+    <small class="text_muted">Glob (<code>claude-3-5-sonnet*</code>) or <code>/regex/</code> model locks. An exact model lock wins, then the most specific matching pattern.</small>
+    <div id="stgl-model-patterns" class="marginTop10 flex-container flexFlowColumn flexGap10">
+        {{#each modelPatterns}}
+        <div class="text_pole padding10 flex-container alignItemsCenter justifySpaceBetween flexGap10">
+            <div class="flex1">
+                <strong>{{key}}</strong>{{#if matches}} <small>✅ matches current model</small>{{/if}}<br>
+                {{lockInfo}}
+            </div>
+            <div class="flex-container flexGap5">
+                <div class="menu_button stgl-target-set" data-target="{{target}}" title="Save current preset and template for this pattern">✔️ Set</div>
+                <div class="menu_button stgl-target-clear" data-target="{{target}}" title="Remove this pattern">❌ Clear</div>
+            </div>
+        </div>
+        {{/each}}
+        <div class="menu_button stgl-model-pattern-add">➕ Add Pattern</div>
+    </div>
+</div>
+
+<div class="completion_prompt_manager_popup_entry_form_control">
+    <h4 class="standoutHeader">⚡ Generation Types:</h4>
+    <small class="text_muted">Locks used only while a generation of that type runs; the previous settings come back when it ends. Quiet (background) generations never ask.</small>
+    <div id="stgl-generation-types" class="marginTop10 flex-container flexFlowColumn flexGap5">
+        {{#each generationTargets}}
+        <div class="flex-container alignItemsCenter justifySpaceBetween flexGap10">
+            <div class="flex1">
+                <strong>{{label}}</strong>{{#if hasLock}}: <small>{{lockInfo}}</small>{{/if}}
+            </div>
+            <div class="flex-container flexGap5">
+                <div class="menu_button stgl-target-set" data-target="{{target}}" title="Save current settings for {{label}} generations">✔️ Set</div>
+                {{#if hasLock}}<div class="menu_button stgl-target-clear" data-target="{{target}}" title="Clear {{label}} lock">❌ Clear</div>{{/if}}
+            </div>
+        </div>
+        {{/each}}
+    </div>
+</div>
+
+<div class="completion_prompt_manager_popup_entry_form_control">
+    <h4 class="standoutHeader">📈 Chat Phases:</h4>
+    <small class="text_muted">Preset/template by chat length, in every chat. A phase lasts from its message count until the next phase starts.</small>
+    <div id="stgl-phases" class="marginTop10 flex-container flexFlowColumn flexGap10">
+        {{#each phases}}
+        <div class="stgl-phase-item text_pole padding10 flex-container alignItemsCenter justifySpaceBetween flexGap10" data-phase-id="{{id}}">
+            <div class="flex1">
+                <strong>{{name}}</strong> <small class="text_muted">from message {{fromMessage}}</small>{{#if active}} <small>✅ current phase</small>{{/if}}<br>
+                {{lockInfo}}
+            </div>
+            <div class="flex-container flexGap5">
+                <div class="menu_button stgl-phase-edit" title="Edit phase">✏️</div>
+                <div class="menu_button stgl-phase-delete" title="Delete phase">🗑️</div>
+            </div>
+        </div>
+        {{else}}
+        <small class="text_muted">No phases defined.</small>
+        {{/each}}
+        <div class="menu_button stgl-phase-add">➕ Add Phase</div>
+    </div>
+</div>
+
+<div class="completion_prompt_manager_popup_entry_form_control">
+    <h4 class="standoutHeader">📐 Rules:</h4>
+    <small class="text_muted">Rules lock settings whenever all of their conditions match. The first matching rule wins for each setting.</small>
+    <div id="stgl-rules" class="marginTop10 flex-container flexFlowColumn flexGap10">
+        {{#each rules}}
+        <div class="stgl-rule-item text_pole padding10 flex-container alignItemsCenter justifySpaceBetween flexGap10" data-rule-id="{{id}}">
+            <input type="checkbox" class="stgl-rule-toggle" title="Enabled" {{#if enabled}}checked{{/if}}>
+            <div class="flex1">
+                <strong>{{name}}</strong>{{#if matches}} <small>✅ matches current chat</small>{{/if}}<br>
+                <small class="text_muted">When: {{conditions}}</small><br>
+                {{lockInfo}}
+            </div>
+            <div class="flex-container flexGap5">
+                <div class="menu_button stgl-rule-up" title="Move up">▲</div>
+                <div class="menu_button stgl-rule-down" title="Move down">▼</div>
+                <div class="menu_button stgl-rule-edit" title="Edit rule">✏️</div>
+                <div class="menu_button stgl-rule-delete" title="Delete rule">🗑️</div>
+            </div>
+        </div>
+        {{else}}
+        <small class="text_muted">No rules defined.</small>
+        {{/each}}
+        <div class="menu_button stgl-rule-add">➕ Add Rule</div>
+    </div>
+</div>
+`);
+
+/**
+ * Handlebars template for the chat phase editor popup
+ */
+const phaseEditorTemplate = Handlebars.compile(`
+<h3>{{#if isNew}}Add Phase{{else}}Edit Phase{{/if}}</h3>
+<div class="flex-container flexFlowColumn flexGap10 textAlignLeft">
+    <label>Name
+        <input type="text" id="stgl-phase-name" class="text_pole" value="{{phase.name}}" placeholder="e.g. Long-form">
+    </label>
+    <label>Starts at message count
+        <input type="number" min="0" id="stgl-phase-from" class="text_pole" value="{{phase.fromMessage}}">
+    </label>
+    <h4 class="standoutHeader">Lock (leave empty to keep prevailing settings):</h4>
+    <label>Preset
+        <input type="text" id="stgl-phase-preset" class="text_pole" value="{{phase.locks.preset}}">
+    </label>
+    <label>Template
+        <select id="stgl-phase-template" class="text_pole">
+            <option value="">(none)</option>
+            {{#each templates}}
+            <option value="{{id}}" {{#if selected}}selected{{/if}}>{{name}}</option>
+            {{/each}}
+        </select>
+    </label>
+    <label>Parameters (JSON, e.g. {"temperature": 0.8})
+        <input type="text" id="stgl-phase-parameters" class="text_pole" value="{{parameters}}">
+    </label>
+    <label>World Info (comma-separated lorebooks, [] for none)
+        <input type="text" id="stgl-phase-worldinfo" class="text_pole" value="{{worldInfo}}">
+    </label>
+    <label>Quick Reply sets (comma-separated, [] for none)
+        <input type="text" id="stgl-phase-qrsets" class="text_pole" value="{{quickReplies}}">
+    </label>
+    <div class="menu_button" id="stgl-phase-use-current">Use current settings</div>
+</div>
+`);
+
+/**
+ * Handlebars template for the parameter overrides popup
+ */
+const parameterEditorTemplate = Handlebars.compile(`
+<h3>Parameter Overrides</h3>
+<div class="flex-container flexFlowColumn flexGap10 textAlignLeft">
+    <small class="text_muted">Leave a field empty to not override it. The placeholder shows the current value.</small>
+    <label>Lock for
+        <select id="stgl-parameters-target" class="text_pole">
+            {{#each targets}}
+            <option value="{{target}}">{{label}}</option>
+            {{/each}}
+        </select>
+    </label>
+    {{#each fields}}
+    <label class="flex-container alignItemsCenter flexGap10">
+        <span class="flex1">{{field}}</span>
+        <input type="text" class="text_pole flex1 stgl-parameter-input" data-field="{{field}}" placeholder="{{current}}">
+    </label>
+    {{/each}}
+    <div class="menu_button" id="stgl-parameters-use-current">Use current values</div>
+</div>
+`);
+
+/**
+ * Handlebars template for the world info / Quick Reply lock popup
+ */
+const nameListEditorTemplate = Handlebars.compile(`
+<h3>{{title}}</h3>
+<div class="flex-container flexFlowColumn flexGap10 textAlignLeft">
+    <label>Lock for
+        <select id="stgl-namelist-target" class="text_pole">
+            {{#each targets}}
+            <option value="{{target}}">{{label}}</option>
+            {{/each}}
+        </select>
+    </label>
+    <label class="checkbox_label">
+        <input type="checkbox" id="stgl-namelist-enabled">
+        <span>{{lockLabel}}</span>
+    </label>
+    <div class="flex-container flexFlowColumn flexGap5">
+        {{#each names}}
+        <label class="checkbox_label">
+            <input type="checkbox" class="stgl-namelist-name" value="{{this}}">
+            <span>{{this}}</span>
+        </label>
+        {{else}}
+        <span class="text_muted">{{emptyText}}</span>
+        {{/each}}
+    </div>
+    <div class="menu_button" id="stgl-namelist-use-current">Use current selection</div>
+</div>
+`);
+
+/**
+ * Handlebars template for the persona lock popup
+ */
+const personaEditorTemplate = Handlebars.compile(`
+<h3>Persona</h3>
+<div class="flex-container flexFlowColumn flexGap10 textAlignLeft">
+    <label>Lock for
+        <select id="stgl-persona-target" class="text_pole">
+            {{#each targets}}
+            <option value="{{target}}">{{label}}</option>
+            {{/each}}
+        </select>
+    </label>
+    <label>Persona
+        <select id="stgl-persona-select" class="text_pole">
+            <option value="">(not locked)</option>
+            {{#each personas}}
+            <option value="{{id}}">{{name}}</option>
+            {{/each}}
+        </select>
+    </label>
+    <div class="menu_button" id="stgl-persona-use-current">Use current persona</div>
+</div>
+`);
+
+/**
+ * Handlebars template for the next-generation popup
+ */
+const nextGenerationTemplate = Handlebars.compile(`
+<h3>Next Generation</h3>
+<div class="flex-container flexFlowColumn flexGap10 textAlignLeft">
+    <small class="text_muted">Leave empty to keep the current setting.</small>
+    <label>Connection profile
+        <input type="text" id="stgl-next-profile" class="text_pole" value="{{locks.profile}}">
+    </label>
+    <label>Preset
+        <input type="text" id="stgl-next-preset" class="text_pole" value="{{locks.preset}}">
+    </label>
+    <label>Template
+        <select id="stgl-next-template" class="text_pole">
+            <option value="">(none)</option>
+            {{#each templates}}
+            <option value="{{id}}" {{#if selected}}selected{{/if}}>{{name}}</option>
+            {{/each}}
+        </select>
+    </label>
+    <label>Parameters (JSON, e.g. {"temperature": 0.8})
+        <input type="text" id="stgl-next-parameters" class="text_pole" value="{{parameters}}">
+    </label>
+    <label>World Info (comma-separated lorebooks, [] for none)
+        <input type="text" id="stgl-next-worldinfo" class="text_pole" value="{{worldInfo}}">
+    </label>
+    <label>Quick Reply sets (comma-separated, [] for none)
+        <input type="text" id="stgl-next-qrsets" class="text_pole" value="{{quickReplies}}">
+    </label>
+    <div class="menu_button" id="stgl-next-use-current">Use current settings</div>
+</div>
+`);
+
+/**
+ * Handlebars template for the rule editor popup
+ */
+const ruleEditorTemplate = Handlebars.compile(`
+<h3>{{#if isNew}}Add Rule{{else}}Edit Rule{{/if}}</h3>
+<div class="flex-container flexFlowColumn flexGap10 textAlignLeft">
+    <label>Name
+        <input type="text" id="stgl-rule-name" class="text_pole" value="{{rule.name}}" placeholder="e.g. Claude in big groups">
+    </label>
+    <h4 class="standoutHeader">When (leave empty to ignore):</h4>
+    <label>Model (regex)
+        <input type="text" id="stgl-rule-model" class="text_pole" value="{{rule.conditions.model}}" placeholder="e.g. ^claude">
+    </label>
+    <label>Chat completion source
+        <input type="text" id="stgl-rule-source" class="text_pole" value="{{rule.conditions.source}}" placeholder="e.g. openrouter">
+    </label>
+    <label>Character name (regex; in groups, the group or any member)
+        <input type="text" id="stgl-rule-character" class="text_pole" value="{{rule.conditions.character}}">
+    </label>
+    <div class="flex-container flexGap10">
+        <label class="flex1">Min. group size
+            <input type="number" min="1" id="stgl-rule-min-group" class="text_pole" value="{{rule.conditions.minGroupSize}}">
+        </label>
+        <label class="flex1">Max. group size
+            <input type="number" min="1" id="stgl-rule-max-group" class="text_pole" value="{{rule.conditions.maxGroupSize}}">
+        </label>
+    </div>
+    <label>Persona (name or avatar ID)
+        <input type="text" id="stgl-rule-persona" class="text_pole" value="{{rule.conditions.persona}}">
+    </label>
+    <label>Tag (name or ID)
+        <input type="text" id="stgl-rule-tag" class="text_pole" value="{{rule.conditions.tag}}">
+    </label>
+    <h4 class="standoutHeader">Then lock (leave empty to keep prevailing settings):</h4>
+    <label>Profile
+        <input type="text" id="stgl-rule-profile" class="text_pole" value="{{rule.locks.profile}}">
+    </label>
+    <label>Preset
+        <input type="text" id="stgl-rule-preset" class="text_pole" value="{{rule.locks.preset}}">
+    </label>
+    <label>Template
+        <select id="stgl-rule-template" class="text_pole">
+            <option value="">(none)</option>
+            {{#each templates}}
+            <option value="{{id}}" {{#if selected}}selected{{/if}}>{{name}}</option>
+            {{/each}}
+        </select>
+    </label>
+    <label>Parameters (JSON, e.g. {"temperature": 0.8})
+        <input type="text" id="stgl-rule-parameters" class="text_pole" value="{{parameters}}">
+    </label>
+    <label>World Info (comma-separated lorebooks, [] for none)
+        <input type="text" id="stgl-rule-worldinfo" class="text_pole" value="{{worldInfo}}">
+    </label>
+    <label>Quick Reply sets (comma-separated, [] for none)
+        <input type="text" id="stgl-rule-qrsets" class="text_pole" value="{{quickReplies}}">
+    </label>
+    <div class="menu_button" id="stgl-rule-use-current">Use current settings</div>
+</div>
 `);
 
 /**
@@ -2076,6 +5024,10 @@ function formatLockInfo(lock) {
         } catch (e) {}
         parts.push(`Template: ${tplDisplay}`);
     }
+    if (lock.parameters) parts.push(`Parameters: ${ParameterOps.describe(lock.parameters)}`);
+    if (lock.worldinfo) parts.push(`World Info: ${WorldInfoOps.describe(lock.worldinfo)}`);
+    if (lock.persona) parts.push(`Persona: ${settingsManager?.personaLocker.getPersonaName(lock.persona) || lock.persona}`);
+    if (lock.qrsets) parts.push(`Quick Replies: ${QuickReplyOps.describe(lock.qrsets)}`);
 
     return parts.length > 0 ? parts.join(' | ') : 'No locks set';
 }
@@ -2100,6 +5052,57 @@ function getDisplayCharacterName(characterName) {
     return normalized;
 }
 
+/**
+ * Labels for the priority selects
+ */
+const PRIORITY_SOURCE_LABELS = {
+    [SETTING_SOURCES.GENERATION]: '⚡ Generation Type',
+    [SETTING_SOURCES.RULE]: '📐 Rule',
+    [SETTING_SOURCES.MODEL]: '🤖 Model',
+    [SETTING_SOURCES.SOURCE]: '🔗 Source',
+    [SETTING_SOURCES.CONNECTION]: '🔌 Connection Profile',
+    [SETTING_SOURCES.PRESET]: '🎚️ Preset',
+    [SETTING_SOURCES.CHAT]: '💬 Chat',
+    [SETTING_SOURCES.PHASE]: '📈 Chat Phase',
+    [SETTING_SOURCES.INDIVIDUAL]: '🧑 Individual (in group)',
+    [SETTING_SOURCES.CHARACTER]: '👤 Character/Group',
+    [SETTING_SOURCES.TAG]: '🏷️ Tag',
+    [SETTING_SOURCES.PERSONA]: '🎭 Persona'
+};
+
+/**
+ * 1 → "1st", 2 → "2nd", ...
+ */
+function formatOrdinal(n) {
+    const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+    const mod100 = n % 100;
+    return `${n}${(mod100 >= 11 && mod100 <= 13) ? 'th' : (suffixes[n % 10] || 'th')}`;
+}
+
+/**
+ * Human-readable label for a lock source (Character and Group share a label in group chats)
+ */
+function formatSourceLabel(source, isGroupChat) {
+    if (!source) return null;
+    const labels = {
+        [SETTING_SOURCES.CHAT]: 'Chat',
+        [SETTING_SOURCES.CHARACTER]: isGroupChat ? 'Character/Group' : 'Character',
+        [SETTING_SOURCES.GROUP]: isGroupChat ? 'Character/Group' : 'Group',
+        [SETTING_SOURCES.MODEL]: 'Model',
+        [SETTING_SOURCES.SOURCE]: 'Source',
+        [SETTING_SOURCES.CONNECTION]: 'Connection Profile',
+        [SETTING_SOURCES.PRESET]: 'Preset',
+        [SETTING_SOURCES.GENERATION]: 'Generation Type',
+        [SETTING_SOURCES.PHASE]: 'Chat Phase',
+        [SETTING_SOURCES.DEFAULT]: 'Default',
+        [SETTING_SOURCES.INDIVIDUAL]: 'Individual',
+        [SETTING_SOURCES.PERSONA]: 'Persona',
+        [SETTING_SOURCES.TAG]: 'Tag',
+        [SETTING_SOURCES.RULE]: 'Rule'
+    };
+    return labels[source] || source;
+}
+
 function isUnresolvedMacroValue(value) {
     if (value === undefined || value === null) {
         return false;
@@ -2131,6 +5134,86 @@ function resolveCharacterLockTarget(context) {
     return { mode: 'character', key: normalizedName };
 }
 
+/**
+ * Find a tag by ID, falling back to a case-insensitive name match
+ * @returns {Object|null} Tag or null
+ */
+function findTagByIdOrName(idOrName) {
+    const key = String(idOrName ?? '').trim();
+    if (!key || !Array.isArray(tags)) return null;
+    return tags.find(t => t.id === key)
+        || tags.find(t => typeof t.name === 'string' && t.name.toLowerCase() === key.toLowerCase())
+        || null;
+}
+
+/**
+ * Order tag IDs by the user's tag precedence; unlisted tags follow in name order
+ * @param {string[]} tagIds
+ * @param {string[]} tagPriority - Preferred order of tag IDs (first wins)
+ * @returns {string[]}
+ */
+function sortTagIdsByPrecedence(tagIds, tagPriority) {
+    const priority = Array.isArray(tagPriority) ? tagPriority : [];
+    const nameOf = (id) => String(findTagByIdOrName(id)?.name ?? id).toLowerCase();
+    return [...(tagIds || [])].sort((a, b) => {
+        const ia = priority.indexOf(a);
+        const ib = priority.indexOf(b);
+        if (ia !== -1 || ib !== -1) {
+            if (ia === -1) return 1;
+            if (ib === -1) return -1;
+            return ia - ib;
+        }
+        return nameOf(a).localeCompare(nameOf(b));
+    });
+}
+
+/**
+ * Resolve a public dimension name to a lock target for saveCurrentUILocks/clearLocks
+ * @returns {{ target: string|null, error: string|null }}
+ */
+function resolveLockTargetDimension(dimension, context) {
+    const raw = String(dimension ?? '').trim();
+    if (raw.toLowerCase().startsWith('tag:') || raw.toLowerCase() === 'tag') {
+        const tag = findTagByIdOrName(raw.slice(4));
+        if (!tag) {
+            return { target: null, error: `Unknown tag "${raw.slice(4)}". Use tag:<tag name or ID>` };
+        }
+        return { target: `tag:${tag.id}`, error: null };
+    }
+
+    if (raw.toLowerCase().startsWith('generation:') || raw.toLowerCase() === 'generation') {
+        const type = raw.slice(11).trim().toLowerCase();
+        const types = Object.values(GENERATION_TYPES);
+        if (!type) {
+            return { target: null, error: `Missing generation type. Use generation:<${types.join('|')}>` };
+        }
+        if (!types.includes(type)) {
+            return { target: null, error: `Unknown generation type "${type}". Use generation:<${types.join('|')}>` };
+        }
+        return { target: `generation:${type}`, error: null };
+    }
+
+    if (raw.toLowerCase().startsWith('model:')) {
+        const pattern = raw.slice(6).trim();
+        if (!pattern || !ModelKeyOps.compile(pattern)) {
+            return { target: null, error: `Invalid model pattern "${pattern}". Use model:<name>, model:<glob*> or model:/<regex>/` };
+        }
+        return { target: `model:${pattern}`, error: null };
+    }
+
+    const normalized = raw.toLowerCase();
+    if (!LOCK_TARGET_DIMENSIONS.includes(normalized)) {
+        return { target: null, error: `Unknown dimension "${dimension}". Use one of: ${LOCK_TARGET_DIMENSIONS.join(', ')}` };
+    }
+    if (normalized === 'group') {
+        if (!context?.isGroupChat) {
+            return { target: null, error: 'The group dimension is only available in group chats' };
+        }
+        return { target: 'character', error: null };
+    }
+    return { target: normalized, error: null };
+}
+
 /**
  * Get popup content data
  */
@@ -2147,34 +5230,35 @@ async function getPopupContent() {
 
     // Build checkboxes (notifications only; prefer-individual rendered separately)
     const checkboxes = [
-        { id: 'stgl-show-notifications', label: 'Show notifications', checked: preferences.showNotifications }
+        { id: 'stgl-show-notifications', label: 'Show notifications', checked: preferences.showNotifications },
+        { id: 'stgl-inherit-branch', label: 'Copy the chat lock into branches of the chat', checked: preferences.inheritChatLockOnBranch },
+        { id: 'stgl-inherit-new-chat', label: 'Copy the chat lock into new chats with the same character/group', checked: preferences.inheritChatLockOnNewChat },
+        { id: 'stgl-embed-card-locks', label: 'Save character locks into the character card too (travel with exports)', checked: preferences.embedLocksInCards }
     ];
 
-    // Priority order - cascading dropdown options
-    const sourceLabels = {
-        [SETTING_SOURCES.MODEL]: '🤖 Model',
-        [SETTING_SOURCES.CHAT]: '💬 Chat',
-        [SETTING_SOURCES.CHARACTER]: '👤 Character/Group'
-    };
-
-    const order = Array.isArray(preferences.priorityOrder) && preferences.priorityOrder.length
-        ? preferences.priorityOrder
-        : [SETTING_SOURCES.MODEL, SETTING_SOURCES.CHAT, SETTING_SOURCES.CHARACTER];
-
-    const allSources = [SETTING_SOURCES.MODEL, SETTING_SOURCES.CHAT, SETTING_SOURCES.CHARACTER];
-
+    // Priority order - one select per orderable dimension
     // Cascading disabled: all selects show the same set; uniqueness enforced on save
     const makeOptionsAll = (selected) => {
-        return allSources.map(s => ({ value: s, label: sourceLabels[s], selected: s === selected }));
+        return PRIORITY_SOURCES.map(s => ({ value: s, label: PRIORITY_SOURCE_LABELS[s], selected: s === selected }));
     };
 
-    const sel1 = order[0] || SETTING_SOURCES.MODEL;
-    const sel2 = order[1] || SETTING_SOURCES.CHAT;
-    const sel3 = order[2] || SETTING_SOURCES.CHARACTER;
-
-    const priorityOptions1 = makeOptionsAll(sel1);
-    const priorityOptions2 = makeOptionsAll(sel2);
-    const priorityOptions3 = makeOptionsAll(sel3);
+    const makeSelects = (order, prefix) => order.map((selected, index) => ({
+        id: `stgl-priority-select-${prefix}-${index + 1}`,
+        label: index === 0 ? '1st (highest)' : index === order.length - 1 ? `${formatOrdinal(index + 1)} (lowest)` : formatOrdinal(index + 1),
+        options: makeOptionsAll(selected)
+    }));
+
+    // One shared editor, or one editor per item when any item has its own order
+    const priorityPerItem = Object.values(preferences.priorityOrders || {}).some(Array.isArray);
+    const priorityEditors = [
+        { item: '', title: null, hidden: priorityPerItem, selects: makeSelects(getItemPriorityOrder(preferences), 'shared') },
+        ...Object.values(LOCKABLE_ITEMS).map(item => ({
+            item,
+            title: LOCKABLE_ITEM_LABELS[item] || `${item.charAt(0).toUpperCase()}${item.slice(1)}`,
+            hidden: !priorityPerItem,
+            selects: makeSelects(getItemPriorityOrder(preferences, item), item)
+        }))
+    ];
 
     // Auto-apply options
     const autoApplyOptions = [
@@ -2202,7 +5286,78 @@ async function getPopupContent() {
                 : null;
     const groupLocks = isGroupChat ? storage.getGroupLock(context.groupId) : null;
     const chatLocks = storage.getChatLock();
-    const modelLocks = storage.getModelLock(context.modelName);
+    const modelMatch = storage.findModelLock(context.modelName, context.completionSource);
+    const modelLocks = modelMatch?.locks || null;
+
+    const modelPatterns = storage.getModelPatternKeys().map(key => ({
+        target: `model:${key}`,
+        key,
+        matches: ModelKeyOps.matches(key, context.modelName),
+        lockInfo: formatLockInfo(storage.getModelLock(key))
+    }));
+
+    // Dimensions without their own popup buttons; Set/Clear are rendered inline
+    const templateOrder = getItemPriorityOrder(preferences, LOCKABLE_ITEMS.TEMPLATE);
+    const otherTargets = [
+        {
+            target: 'source',
+            label: '🔗 Source',
+            keyLabel: context.completionSource || 'No chat completion source',
+            available: !!context.completionSource,
+            lockInfo: formatLockInfo(storage.getSourceLock(context.completionSource))
+        },
+        {
+            target: 'connection',
+            label: '🔌 Connection Profile',
+            keyLabel: context.connectionProfile || 'No connection profile selected',
+            available: !!context.connectionProfile,
+            lockInfo: formatLockInfo(storage.getConnectionLock(context.connectionProfile))
+        },
+        {
+            target: 'preset',
+            label: '🎚️ Preset (template only)',
+            keyLabel: context.presetName || 'No preset selected',
+            available: !!context.presetName,
+            lockInfo: formatLockInfo(storage.getPresetLock(context.presetName)),
+            // Picking the preset by hand always applies its template; context changes follow the cascade
+            note: templateOrder.indexOf(SETTING_SOURCES.PRESET) > templateOrder.indexOf(SETTING_SOURCES.CHARACTER)
+                ? 'Picking this preset applies its template. On chat or character switches a template locked by a higher-ranked dimension (e.g. Character/Group) wins; move Preset up in the template\'s priority order (Separate order for each item) to change that.'
+                : null
+        },
+        {
+            target: 'persona',
+            label: '🎭 Persona',
+            keyLabel: context.personaName || 'No persona selected',
+            available: !!context.personaId,
+            lockInfo: formatLockInfo(storage.getPersonaLock(context.personaId))
+        },
+        ...sortTagIdsByPrecedence(context.tagIds, preferences.tagPriority).map(tagId => ({
+            target: `tag:${tagId}`,
+            label: '🏷️ Tag',
+            keyLabel: findTagByIdOrName(tagId)?.name || tagId,
+            available: true,
+            lockInfo: formatLockInfo(storage.getTagLock(tagId))
+        })),
+        {
+            target: 'default',
+            label: '🌐 Default',
+            keyLabel: 'Used when nothing else locks an item',
+            available: true,
+            lockInfo: formatLockInfo(storage.getDefaultLock())
+        }
+    ];
+
+    // Tag precedence is only meaningful once several tags carry locks
+    const tagLockIds = Object.keys(storage.getAllTagLocks()).filter(id => findTagByIdOrName(id));
+    const tagPrecedence = tagLockIds.length > 1
+        ? sortTagIdsByPrecedence(tagLockIds, preferences.tagPriority).map(id => ({
+            id,
+            name: findTagByIdOrName(id).name,
+            lockInfo: formatLockInfo(storage.getTagLock(id))
+        }))
+        : [];
+
+    const resolved = settingsManager.getCurrentLocks();
 
     return lockManagementTemplate({
         isExtensionEnabled: true,
@@ -2212,10 +5367,46 @@ async function getPopupContent() {
         characterName: getDisplayCharacterName(context.characterName),
         groupName: context.groupName,
         modelName: context.modelName,
+        modelMatchKey: modelMatch && modelMatch.key !== context.modelName ? modelMatch.key : null,
+        modelMatchAnySource: !!modelMatch && !modelMatch.source && !!context.completionSource,
+        modelPatterns,
+        nextGeneration: settingsManager.nextGenerationLocks ? formatLockInfo(settingsManager.nextGenerationLocks) : null,
+        parameters: resolved.locks.parameters ? ParameterOps.describe(resolved.locks.parameters) : null,
+        parametersSource: resolved.sources.parameters ? formatSourceLabel(resolved.sources.parameters, isGroupChat) : null,
+        worldInfo: resolved.locks.worldinfo ? WorldInfoOps.describe(resolved.locks.worldinfo) : null,
+        worldInfoSource: resolved.sources.worldinfo ? formatSourceLabel(resolved.sources.worldinfo, isGroupChat) : null,
+        persona: resolved.locks.persona ? (settingsManager.personaLocker.getPersonaName(resolved.locks.persona) || resolved.locks.persona) : null,
+        personaSource: resolved.sources.persona ? formatSourceLabel(resolved.sources.persona, isGroupChat) : null,
+        quickReplies: resolved.locks.qrsets ? QuickReplyOps.describe(resolved.locks.qrsets) : null,
+        quickRepliesSource: resolved.sources.qrsets ? formatSourceLabel(resolved.sources.qrsets, isGroupChat) : null,
+        // Generated from DIMENSION_ITEMS so the hints match what the resolver accepts
+        unavailableHints: Object.fromEntries(Object.values(LOCKABLE_ITEMS).map(item => [item, describeUnavailableDimensions(item)])),
+        generationTargets: Object.values(GENERATION_TYPES).map(type => ({
+            target: `generation:${type}`,
+            label: `${type.charAt(0).toUpperCase()}${type.slice(1)}`,
+            hasLock: !!storage.getGenerationLock(type),
+            lockInfo: formatLockInfo(storage.getGenerationLock(type))
+        })),
         checkboxes,
-        priorityOptions1,
-        priorityOptions2,
-        priorityOptions3,
+        priorityPerItem,
+        priorityEditors,
+        tagPrecedence,
+        otherTargets,
+        phases: storage.getPhases().map(phase => ({
+            id: phase.id,
+            name: phase.name || 'Unnamed phase',
+            fromMessage: phase.fromMessage,
+            active: PhaseOps.findActive(storage.getPhases(), context.messageCount)?.id === phase.id,
+            lockInfo: formatLockInfo(phase.locks)
+        })),
+        rules: storage.getRules().map(rule => ({
+            id: rule.id,
+            name: rule.name || 'Unnamed rule',
+            enabled: !!rule.enabled,
+            conditions: RuleOps.describeConditions(rule),
+            lockInfo: formatLockInfo(rule.locks),
+            matches: RuleOps.matches(rule, context)
+        })),
         preferIndividualCharacterInGroup: preferences.preferIndividualCharacterInGroup,
         autoApplyOptions,
         autoApplyGenStartOptions,
@@ -2227,27 +5418,777 @@ async function getPopupContent() {
 }
 
 /**
- * Refresh popup content after save/clear
+ * Refresh popup content after save/clear
+ */
+async function refreshPopupAfterSave() {
+    if (currentPopupInstance && typeof currentPopupInstance.completeCancelled === 'function') {
+        currentPopupInstance.completeCancelled();
+        currentPopupInstance = null;
+    }
+    setTimeout(async () => {
+        currentPopupInstance = null;
+        await showLockManagementPopup();
+        updateDisplay();
+    }, 200);
+}
+
+
+/**
+ * Initialize priority dropdowns: switch between the shared and the per-item editors
+ */
+function initializePriorityDropdowns(root) {
+    // Cascading disabled; uniqueness is enforced on save
+    const toggle = root?.querySelector('#stgl-priority-per-item');
+    if (!toggle) return;
+
+    toggle.addEventListener('change', () => {
+        root.querySelectorAll('.stgl-priority-editor').forEach(editor => {
+            const isShared = !editor.dataset.item;
+            editor.style.display = isShared === toggle.checked ? 'none' : '';
+        });
+    });
+}
+
+/**
+ * Wire the inline Set/Clear buttons of the "Other Locks" section
+ */
+function initializeOtherTargetButtons(root) {
+    if (!root || !settingsManager) return;
+
+    root.querySelectorAll('.stgl-target-set').forEach(button => {
+        button.addEventListener('click', async () => {
+            const target = button.dataset.target;
+            try {
+                const saved = await settingsManager.saveCurrentUILocks({ [target]: true });
+                if (saved) {
+                    toastr.success('Locks saved');
+                    await refreshPopupAfterSave();
+                } else {
+                    toastr.error('Failed to save locks');
+                }
+            } catch (error) {
+                console.error(`STGL: Error saving ${target} locks:`, error);
+                toastr.error('Failed to save locks');
+            }
+        });
+    });
+
+    root.querySelectorAll('.stgl-target-clear').forEach(button => {
+        button.addEventListener('click', async () => {
+            const target = button.dataset.target;
+            try {
+                const cleared = await settingsManager.clearLocks({ [target]: true });
+                toastr.info(cleared ? 'Locks cleared' : 'No locks to clear');
+                if (cleared) await refreshPopupAfterSave();
+            } catch (error) {
+                console.error(`STGL: Error clearing ${target} locks:`, error);
+                toastr.error('Failed to clear locks');
+            }
+        });
+    });
+}
+
+/**
+ * Wire the ▲/▼ buttons of the tag precedence list (order is saved with preferences)
+ */
+function initializeTagPrecedenceButtons(root) {
+    if (!root) return;
+
+    root.querySelectorAll('.stgl-tag-up').forEach(button => {
+        button.addEventListener('click', () => {
+            const row = button.closest('.stgl-tag-precedence-item');
+            const previous = row?.previousElementSibling;
+            if (previous) row.parentNode.insertBefore(row, previous);
+        });
+    });
+
+    root.querySelectorAll('.stgl-tag-down').forEach(button => {
+        button.addEventListener('click', () => {
+            const row = button.closest('.stgl-tag-precedence-item');
+            const next = row?.nextElementSibling;
+            if (next) row.parentNode.insertBefore(next, row);
+        });
+    });
+}
+
+/**
+ * Wire the "Add Pattern" button: saves the current preset and template under a new model pattern
+ */
+function initializeModelPatternButtons(root) {
+    if (!root || !settingsManager) return;
+
+    root.querySelector('.stgl-model-pattern-add')?.addEventListener('click', async () => {
+        const modelName = settingsManager.chatContext.getCurrent().modelName || '';
+        const pattern = await callGenericPopup(
+            'Model pattern (glob like <code>claude-3-5-sonnet*</code> or <code>/regex/</code>). The current preset and template will be locked for it.',
+            POPUP_TYPE.INPUT,
+            modelName ? `${modelName}*` : ''
+        );
+        if (typeof pattern !== 'string' || !pattern.trim()) return;
+
+        const { target, error } = resolveLockTargetDimension(`model:${pattern.trim()}`);
+        if (!target) {
+            toastr.error(error);
+            return;
+        }
+        try {
+            if (await settingsManager.saveCurrentUILocks({ [target]: true })) {
+                toastr.success('Model pattern saved');
+                await refreshPopupAfterSave();
+            } else {
+                toastr.error('Failed to save model pattern');
+            }
+        } catch (error) {
+            console.error('STGL: Error saving model pattern:', error);
+            toastr.error('Failed to save model pattern');
+        }
+    });
+}
+
+/**
+ * Wire the rule list buttons; every action is saved immediately
+ */
+function initializeRuleButtons(root) {
+    if (!root || !settingsManager) return;
+    const storage = settingsManager.storage;
+    const ruleIdOf = (element) => element.closest('.stgl-rule-item')?.dataset.ruleId;
+
+    root.querySelectorAll('.stgl-rule-toggle').forEach(checkbox => {
+        checkbox.addEventListener('change', () => {
+            const rule = storage.getRule(ruleIdOf(checkbox));
+            if (!rule) return;
+            storage.saveRule({ ...rule, enabled: checkbox.checked });
+        });
+    });
+
+    const move = async (button, offset) => {
+        const ids = storage.getRules().map(r => r.id);
+        const index = ids.indexOf(ruleIdOf(button));
+        const target = index + offset;
+        if (index === -1 || target < 0 || target >= ids.length) return;
+        [ids[index], ids[target]] = [ids[target], ids[index]];
+        storage.setRuleOrder(ids);
+        await refreshPopupAfterSave();
+    };
+    root.querySelectorAll('.stgl-rule-up').forEach(button => button.addEventListener('click', () => move(button, -1)));
+    root.querySelectorAll('.stgl-rule-down').forEach(button => button.addEventListener('click', () => move(button, 1)));
+
+    root.querySelectorAll('.stgl-rule-edit').forEach(button => {
+        button.addEventListener('click', async () => {
+            const rule = storage.getRule(ruleIdOf(button));
+            if (rule && await showRuleEditorPopup(rule)) await refreshPopupAfterSave();
+        });
+    });
+
+    root.querySelectorAll('.stgl-rule-delete').forEach(button => {
+        button.addEventListener('click', async () => {
+            const rule = storage.getRule(ruleIdOf(button));
+            if (!rule) return;
+            const confirmed = await callGenericPopup(`Delete rule "${lodash.escape(rule.name || 'Unnamed rule')}"?`, POPUP_TYPE.CONFIRM);
+            if (confirmed !== POPUP_RESULT.AFFIRMATIVE) return;
+            storage.deleteRule(rule.id);
+            toastr.info('Rule deleted');
+            await refreshPopupAfterSave();
+        });
+    });
+
+    root.querySelector('.stgl-rule-add')?.addEventListener('click', async () => {
+        if (await showRuleEditorPopup(null)) await refreshPopupAfterSave();
+    });
+}
+
+/**
+ * Wire the Edit button of the parameter overrides section
+ */
+function initializeParameterButtons(root) {
+    if (!root || !settingsManager) return;
+
+    root.querySelector('.stgl-parameters-edit')?.addEventListener('click', async () => {
+        try {
+            if (await showParameterEditorPopup()) await refreshPopupAfterSave();
+        } catch (error) {
+            console.error('STGL: Error saving parameter overrides:', error);
+            toastr.error('Failed to save parameter overrides');
+        }
+    });
+}
+
+/**
+ * Lock targets of the current context that an item editor can save to
+ * @param {Object} context - From ChatContext.getCurrent()
+ * @param {string} itemName - LOCKABLE_ITEMS value
+ * @returns {Array<{target: string, label: string}>}
+ */
+function getEditableLockTargets(context, itemName) {
+    const available = {
+        character: true,
+        chat: !!context.secondaryId,
+        model: !!context.modelName,
+        source: !!context.completionSource,
+        connection: !!context.connectionProfile,
+        persona: !!context.personaId,
+        default: true
+    };
+    return Object.keys(available)
+        .filter(dimension => available[dimension] && dimensionLocksItem(dimension, itemName))
+        .map(dimension => ({ target: dimension, label: formatSourceLabel(dimension, context.isGroupChat) }));
+}
+
+/**
+ * Show the parameter overrides editor for one lock dimension of the current context
+ * @returns {Promise<boolean>} Whether overrides were saved
+ */
+async function showParameterEditorPopup() {
+    const context = settingsManager.chatContext.getCurrent();
+    const targets = getEditableLockTargets(context, LOCKABLE_ITEMS.PARAMETERS);
+
+    const current = settingsManager.parameterLocker.getCurrentParameters();
+    const fields = Object.keys(PARAMETER_FIELDS).map(field => ({ field, current: current[field] ?? '' }));
+    const content = parameterEditorTemplate({ targets, fields });
+
+    let captured = null;
+    const inputs = () => Array.from(document.querySelectorAll('.stgl-parameter-input'));
+    const fillFrom = (overrides) => inputs().forEach(input => {
+        input.value = overrides?.[input.dataset.field] ?? '';
+    });
+    const selectedTarget = () => document.getElementById('stgl-parameters-target')?.value;
+
+    const popup = new Popup(content, POPUP_TYPE.CONFIRM, '', {
+        okButton: 'Save',
+        cancelButton: 'Cancel',
+        allowVerticalScrolling: true,
+        onOpen: () => {
+            const loadTarget = () => fillFrom(settingsManager.getLocksForTarget(selectedTarget(), context)?.parameters);
+            document.getElementById('stgl-parameters-target')?.addEventListener('change', loadTarget);
+            document.getElementById('stgl-parameters-use-current')?.addEventListener('click', () => {
+                fillFrom(settingsManager.parameterLocker.getCurrentParameters());
+            });
+            loadTarget();
+        },
+        onClosing: (p) => {
+            if (p.result !== POPUP_RESULT.AFFIRMATIVE) return true;
+
+            const entries = inputs().map(input => [input.dataset.field, input.value.trim()]).filter(([, value]) => value);
+            const overrides = ParameterOps.normalize(Object.fromEntries(entries));
+            if (overrides === undefined) {
+                toastr.error('Parameter values must be numbers (reasoning_effort: text)');
+                return false;
+            }
+
+            captured = { target: selectedTarget(), overrides };
+            return true;
+        }
+    });
+
+    await popup.show();
+    if (!captured) return false;
+
+    const { target, overrides } = captured;
+    if (overrides) {
+        await settingsManager.saveCurrentUILocks({ [target]: true }, { items: [LOCKABLE_ITEMS.PARAMETERS], values: { parameters: overrides } });
+        toastr.success('Parameter overrides saved');
+    } else {
+        await settingsManager.clearLocks({ [target]: true }, { items: [LOCKABLE_ITEMS.PARAMETERS] });
+        toastr.info('Parameter overrides cleared');
+    }
+    settingsManager.chatContext.invalidate();
+    return true;
+}
+
+/**
+ * Editor settings for items that lock a list of names
+ */
+const NAME_LIST_EDITORS = {
+    [LOCKABLE_ITEMS.WORLD_INFO]: {
+        title: 'World Info',
+        lockLabel: 'Lock the active lorebooks (none checked = no lorebooks)',
+        emptyText: 'No lorebooks found',
+        getNames: () => Array.isArray(world_names) ? [...world_names] : [],
+        getCurrent: () => settingsManager.worldInfoLocker.getCurrentWorldInfo()
+    },
+    [LOCKABLE_ITEMS.QUICK_REPLIES]: {
+        title: 'Quick Reply Sets',
+        lockLabel: 'Lock the enabled sets (none checked = no sets)',
+        emptyText: 'No Quick Reply sets found',
+        getNames: () => [...(window.quickReplyApi?.listSets?.() || [])],
+        getCurrent: () => settingsManager.quickReplyLocker.getCurrentSets()
+    }
+};
+
+/**
+ * Wire the Edit buttons of the world info and Quick Reply sections
+ */
+function initializeNameListButtons(root) {
+    if (!root || !settingsManager) return;
+
+    root.querySelectorAll('.stgl-namelist-edit').forEach(button => {
+        button.addEventListener('click', async () => {
+            const { item } = button.dataset;
+            try {
+                if (await showNameListEditorPopup(item)) await refreshPopupAfterSave();
+            } catch (error) {
+                console.error(`STGL: Error saving ${item} lock:`, error);
+                toastr.error(`Failed to save ${NAME_LIST_EDITORS[item]?.title || item} lock`);
+            }
+        });
+    });
+}
+
+/**
+ * Show the name list editor of an item for one lock dimension of the current context
+ * @param {string} item - LOCKABLE_ITEMS.WORLD_INFO or LOCKABLE_ITEMS.QUICK_REPLIES
+ * @returns {Promise<boolean>} Whether the lock was saved or cleared
+ */
+async function showNameListEditorPopup(item) {
+    const editor = NAME_LIST_EDITORS[item];
+    if (!editor) return false;
+
+    const context = settingsManager.chatContext.getCurrent();
+    const targets = getEditableLockTargets(context, item);
+    const content = nameListEditorTemplate({ ...editor, targets, names: editor.getNames() });
+
+    let captured = null;
+    const checkboxes = () => Array.from(document.querySelectorAll('.stgl-namelist-name'));
+    const checkFrom = (selected) => checkboxes().forEach(checkbox => {
+        checkbox.checked = !!selected?.includes(checkbox.value);
+    });
+    const selectedTarget = () => document.getElementById('stgl-namelist-target')?.value;
+
+    const popup = new Popup(content, POPUP_TYPE.CONFIRM, '', {
+        okButton: 'Save',
+        cancelButton: 'Cancel',
+        allowVerticalScrolling: true,
+        onOpen: () => {
+            const enabled = document.getElementById('stgl-namelist-enabled');
+            const loadTarget = () => {
+                const stored = settingsManager.getLocksForTarget(selectedTarget(), context)?.[item];
+                if (enabled) enabled.checked = Array.isArray(stored);
+                checkFrom(stored);
+            };
+            document.getElementById('stgl-namelist-target')?.addEventListener('change', loadTarget);
+            document.getElementById('stgl-namelist-use-current')?.addEventListener('click', () => {
+                if (enabled) enabled.checked = true;
+                checkFrom(editor.getCurrent());
+            });
+            loadTarget();
+        },
+        onClosing: (p) => {
+            if (p.result !== POPUP_RESULT.AFFIRMATIVE) return true;
+
+            const enabled = document.getElementById('stgl-namelist-enabled')?.checked;
+            const selected = checkboxes().filter(checkbox => checkbox.checked).map(checkbox => checkbox.value);
+            captured = { target: selectedTarget(), names: enabled ? selected : null };
+            return true;
+        }
+    });
+
+    await popup.show();
+    if (!captured?.target) return false;
+
+    const { target, names: locked } = captured;
+    if (locked) {
+        await settingsManager.saveCurrentUILocks({ [target]: true }, { items: [item], values: { [item]: locked } });
+        toastr.success(`${editor.title} lock saved`);
+    } else {
+        await settingsManager.clearLocks({ [target]: true }, { items: [item] });
+        toastr.info(`${editor.title} lock cleared`);
+    }
+    settingsManager.chatContext.invalidate();
+    return true;
+}
+
+/**
+ * Wire the Edit button of the persona section
+ */
+function initializePersonaButtons(root) {
+    if (!root || !settingsManager) return;
+
+    root.querySelector('.stgl-persona-edit')?.addEventListener('click', async () => {
+        try {
+            if (await showPersonaEditorPopup()) await refreshPopupAfterSave();
+        } catch (error) {
+            console.error('STGL: Error saving persona lock:', error);
+            toastr.error('Failed to save persona lock');
+        }
+    });
+}
+
+/**
+ * Show the persona editor for one lock dimension of the current context
+ * @returns {Promise<boolean>} Whether the lock was saved or cleared
+ */
+async function showPersonaEditorPopup() {
+    const context = settingsManager.chatContext.getCurrent();
+    const targets = getEditableLockTargets(context, LOCKABLE_ITEMS.PERSONA);
+    const personas = Object.entries(power_user?.personas || {})
+        .map(([id, name]) => ({ id, name }))
+        .sort((a, b) => String(a.name).localeCompare(String(b.name)));
+    const content = personaEditorTemplate({ targets, personas });
+
+    let captured = null;
+    const selectedTarget = () => document.getElementById('stgl-persona-target')?.value;
+
+    const popup = new Popup(content, POPUP_TYPE.CONFIRM, '', {
+        okButton: 'Save',
+        cancelButton: 'Cancel',
+        onOpen: () => {
+            const select = document.getElementById('stgl-persona-select');
+            const loadTarget = () => {
+                if (select) select.value = settingsManager.getLocksForTarget(selectedTarget(), context)?.persona || '';
+            };
+            document.getElementById('stgl-persona-target')?.addEventListener('change', loadTarget);
+            document.getElementById('stgl-persona-use-current')?.addEventListener('click', () => {
+                if (select) select.value = settingsManager.personaLocker.getCurrentPersona() || '';
+            });
+            loadTarget();
+        },
+        onClosing: (p) => {
+            if (p.result !== POPUP_RESULT.AFFIRMATIVE) return true;
+            captured = {
+                target: selectedTarget(),
+                personaId: document.getElementById('stgl-persona-select')?.value || null
+            };
+            return true;
+        }
+    });
+
+    await popup.show();
+    if (!captured?.target) return false;
+
+    const { target, personaId } = captured;
+    if (personaId) {
+        await settingsManager.saveCurrentUILocks({ [target]: true }, { items: [LOCKABLE_ITEMS.PERSONA], values: { persona: personaId } });
+        toastr.success('Persona lock saved');
+    } else {
+        await settingsManager.clearLocks({ [target]: true }, { items: [LOCKABLE_ITEMS.PERSONA] });
+        toastr.info('Persona lock cleared');
+    }
+    settingsManager.chatContext.invalidate();
+    return true;
+}
+
+/**
+ * Wire the Set/Cancel buttons of the next-generation section
+ */
+function initializeNextGenerationButtons(root) {
+    if (!root || !settingsManager) return;
+
+    root.querySelector('.stgl-next-set')?.addEventListener('click', async () => {
+        try {
+            if (await showNextGenerationPopup()) await refreshPopupAfterSave();
+        } catch (error) {
+            console.error('STGL: Error queueing next-generation locks:', error);
+            toastr.error('Failed to queue next-generation locks');
+        }
+    });
+
+    root.querySelector('.stgl-next-clear')?.addEventListener('click', async () => {
+        settingsManager.setNextGenerationLocks(null);
+        toastr.info('Next-generation locks cancelled');
+        await refreshPopupAfterSave();
+    });
+}
+
+/**
+ * Show the next-generation editor
+ * @returns {Promise<boolean>} Whether locks were queued
+ */
+async function showNextGenerationPopup() {
+    const locks = settingsManager.nextGenerationLocks || {};
+    const templates = Object.values(settingsManager.storage.getAllTemplates()).map(t => ({
+        id: t.id,
+        name: t.name,
+        selected: t.id === locks.template
+    }));
+    const parameters = locks.parameters ? JSON.stringify(locks.parameters) : '';
+    const worldInfo = WorldInfoOps.toInput(locks.worldinfo);
+    const quickReplies = QuickReplyOps.toInput(locks.qrsets);
+    const content = nextGenerationTemplate({ locks, templates, parameters, worldInfo, quickReplies });
+
+    let captured = null;
+    const readText = (id) => document.getElementById(id)?.value.trim() || '';
+
+    const popup = new Popup(content, POPUP_TYPE.CONFIRM, '', {
+        okButton: 'Queue',
+        cancelButton: 'Cancel',
+        onOpen: () => {
+            document.getElementById('stgl-next-use-current')?.addEventListener('click', async () => {
+                const profile = document.getElementById('stgl-next-profile');
+                const preset = document.getElementById('stgl-next-preset');
+                const template = document.getElementById('stgl-next-template');
+                if (profile) profile.value = settingsManager.profileLocker.getCurrentProfile() || '';
+                if (preset) preset.value = settingsManager.presetLocker.getCurrentPreset() || '';
+                if (template) template.value = await settingsManager.templateLocker.getCurrentTemplate() || '';
+            });
+        },
+        onClosing: (p) => {
+            if (p.result !== POPUP_RESULT.AFFIRMATIVE) return true;
+
+            const parameters = ParameterOps.parse(readText('stgl-next-parameters'));
+            if (parameters === undefined) {
+                toastr.error(`Invalid parameters. Use JSON with fields: ${Object.keys(PARAMETER_FIELDS).join(', ')}`);
+                return false;
+            }
+            const worldinfo = WorldInfoOps.parse(readText('stgl-next-worldinfo'));
+            if (worldinfo === undefined) {
+                toastr.error('Invalid world info. Use comma-separated lorebook names or a JSON array');
+                return false;
+            }
+            const qrsets = QuickReplyOps.parse(readText('stgl-next-qrsets'));
+            if (qrsets === undefined) {
+                toastr.error('Invalid Quick Reply sets. Use comma-separated set names or a JSON array');
+                return false;
+            }
+
+            const candidate = {
+                profile: readText('stgl-next-profile') || null,
+                preset: readText('stgl-next-preset') || null,
+                template: readText('stgl-next-template') || null,
+                parameters,
+                worldinfo,
+                qrsets
+            };
+            if (!Object.values(candidate).some(Boolean)) {
+                toastr.error('Set at least one of profile, preset, template, parameters, world info or Quick Reply sets');
+                return false;
+            }
+
+            captured = candidate;
+            return true;
+        }
+    });
+
+    await popup.show();
+    if (!captured) return false;
+
+    settingsManager.setNextGenerationLocks(captured);
+    toastr.success('Locks queued for the next generation');
+    return true;
+}
+
+/**
+ * Wire the chat phase list buttons; every action is saved immediately
+ */
+function initializePhaseButtons(root) {
+    if (!root || !settingsManager) return;
+    const storage = settingsManager.storage;
+    const phaseIdOf = (element) => element.closest('.stgl-phase-item')?.dataset.phaseId;
+
+    root.querySelectorAll('.stgl-phase-edit').forEach(button => {
+        button.addEventListener('click', async () => {
+            const phase = storage.getPhase(phaseIdOf(button));
+            if (phase && await showPhaseEditorPopup(phase)) await refreshPopupAfterSave();
+        });
+    });
+
+    root.querySelectorAll('.stgl-phase-delete').forEach(button => {
+        button.addEventListener('click', async () => {
+            const phase = storage.getPhase(phaseIdOf(button));
+            if (!phase) return;
+            const confirmed = await callGenericPopup(`Delete phase "${lodash.escape(phase.name || 'Unnamed phase')}"?`, POPUP_TYPE.CONFIRM);
+            if (confirmed !== POPUP_RESULT.AFFIRMATIVE) return;
+            storage.deletePhase(phase.id);
+            toastr.info('Phase deleted');
+            await refreshPopupAfterSave();
+        });
+    });
+
+    root.querySelector('.stgl-phase-add')?.addEventListener('click', async () => {
+        if (await showPhaseEditorPopup(null)) await refreshPopupAfterSave();
+    });
+}
+
+/**
+ * Show the chat phase editor
+ * @param {Object|null} phase - Phase to edit, or null for a new one
+ * @returns {Promise<boolean>} Whether the phase was saved
+ */
+async function showPhaseEditorPopup(phase) {
+    const storage = settingsManager.storage;
+    const isNew = !phase;
+    const draft = lodash.cloneDeep(phase || PhaseOps.createEmpty());
+    const templates = Object.values(storage.getAllTemplates()).map(t => ({
+        id: t.id,
+        name: t.name,
+        selected: t.id === draft.locks?.template
+    }));
+    const parameters = draft.locks?.parameters ? JSON.stringify(draft.locks.parameters) : '';
+    const worldInfo = WorldInfoOps.toInput(draft.locks?.worldinfo);
+    const quickReplies = QuickReplyOps.toInput(draft.locks?.qrsets);
+    const content = phaseEditorTemplate({ isNew, phase: draft, templates, parameters, worldInfo, quickReplies });
+
+    let captured = null;
+    const readText = (id) => document.getElementById(id)?.value.trim() || '';
+
+    const popup = new Popup(content, POPUP_TYPE.CONFIRM, '', {
+        okButton: 'Save',
+        cancelButton: 'Cancel',
+        allowVerticalScrolling: true,
+        onOpen: () => {
+            document.getElementById('stgl-phase-use-current')?.addEventListener('click', async () => {
+                const preset = document.getElementById('stgl-phase-preset');
+                const template = document.getElementById('stgl-phase-template');
+                if (preset) preset.value = settingsManager.presetLocker.getCurrentPreset() || '';
+                if (template) template.value = await settingsManager.templateLocker.getCurrentTemplate() || '';
+            });
+        },
+        onClosing: (p) => {
+            if (p.result !== POPUP_RESULT.AFFIRMATIVE) return true;
+
+            const parameters = ParameterOps.parse(readText('stgl-phase-parameters'));
+            if (parameters === undefined) {
+                toastr.error(`Invalid parameters. Use JSON with fields: ${Object.keys(PARAMETER_FIELDS).join(', ')}`);
+                return false;
+            }
+            const worldinfo = WorldInfoOps.parse(readText('stgl-phase-worldinfo'));
+            if (worldinfo === undefined) {
+                toastr.error('Invalid world info. Use comma-separated lorebook names or a JSON array');
+                return false;
+            }
+            const qrsets = QuickReplyOps.parse(readText('stgl-phase-qrsets'));
+            if (qrsets === undefined) {
+                toastr.error('Invalid Quick Reply sets. Use comma-separated set names or a JSON array');
+                return false;
+            }
+
+            const candidate = {
+                ...draft,
+                name: readText('stgl-phase-name'),
+                fromMessage: parseInt(readText('stgl-phase-from'), 10),
+                locks: {
+                    ...draft.locks,
+                    preset: readText('stgl-phase-preset') || null,
+                    template: readText('stgl-phase-template') || null,
+                    parameters,
+                    worldinfo,
+                    qrsets
+                }
+            };
+
+            if (!candidate.name) {
+                toastr.error('Phase name is required');
+                return false;
+            }
+            if (!PhaseOps.validate(candidate)) {
+                toastr.error('Message count must be a whole number of 0 or more');
+                return false;
+            }
+
+            captured = candidate;
+            return true;
+        }
+    });
+
+    await popup.show();
+    if (!captured) return false;
+
+    storage.savePhase(captured);
+    toastr.success(isNew ? 'Phase added' : 'Phase saved');
+    return true;
+}
+
+/**
+ * Show the rule editor
+ * @param {Object|null} rule - Rule to edit, or null for a new one
+ * @returns {Promise<boolean>} Whether the rule was saved
  */
-async function refreshPopupAfterSave() {
-    if (currentPopupInstance && typeof currentPopupInstance.completeCancelled === 'function') {
-        currentPopupInstance.completeCancelled();
-        currentPopupInstance = null;
-    }
-    setTimeout(async () => {
-        currentPopupInstance = null;
-        await showLockManagementPopup();
-        updateDisplay();
-    }, 200);
-}
+async function showRuleEditorPopup(rule) {
+    const storage = settingsManager.storage;
+    const isNew = !rule;
+    const draft = lodash.cloneDeep(rule || RuleOps.createEmpty());
+    const templates = Object.values(storage.getAllTemplates()).map(t => ({
+        id: t.id,
+        name: t.name,
+        selected: t.id === draft.locks?.template
+    }));
+    const parameters = draft.locks?.parameters ? JSON.stringify(draft.locks.parameters) : '';
+    const worldInfo = WorldInfoOps.toInput(draft.locks?.worldinfo);
+    const quickReplies = QuickReplyOps.toInput(draft.locks?.qrsets);
+    const content = ruleEditorTemplate({ isNew, rule: draft, templates, parameters, worldInfo, quickReplies });
+
+    let captured = null;
+    const readText = (id) => document.getElementById(id)?.value.trim() || '';
+    const readNumber = (id) => {
+        const value = parseInt(readText(id), 10);
+        return Number.isFinite(value) ? value : null;
+    };
 
+    const popup = new Popup(content, POPUP_TYPE.CONFIRM, '', {
+        okButton: 'Save',
+        cancelButton: 'Cancel',
+        allowVerticalScrolling: true,
+        onOpen: () => {
+            document.getElementById('stgl-rule-use-current')?.addEventListener('click', async () => {
+                const profile = document.getElementById('stgl-rule-profile');
+                const preset = document.getElementById('stgl-rule-preset');
+                const template = document.getElementById('stgl-rule-template');
+                if (profile) profile.value = settingsManager.profileLocker.getCurrentProfile() || '';
+                if (preset) preset.value = settingsManager.presetLocker.getCurrentPreset() || '';
+                if (template) template.value = await settingsManager.templateLocker.getCurrentTemplate() || '';
+            });
+        },
+        onClosing: (p) => {
+            if (p.result !== POPUP_RESULT.AFFIRMATIVE) return true;
 
-/**
- * Initialize cascading priority dropdowns
- */
-function initializePriorityDropdowns() {
-    // Cascading disabled; uniqueness is enforced on save
-    return;
+            const parameters = ParameterOps.parse(readText('stgl-rule-parameters'));
+            if (parameters === undefined) {
+                toastr.error(`Invalid parameters. Use JSON with fields: ${Object.keys(PARAMETER_FIELDS).join(', ')}`);
+                return false;
+            }
+            const worldinfo = WorldInfoOps.parse(readText('stgl-rule-worldinfo'));
+            if (worldinfo === undefined) {
+                toastr.error('Invalid world info. Use comma-separated lorebook names or a JSON array');
+                return false;
+            }
+            const qrsets = QuickReplyOps.parse(readText('stgl-rule-qrsets'));
+            if (qrsets === undefined) {
+                toastr.error('Invalid Quick Reply sets. Use comma-separated set names or a JSON array');
+                return false;
+            }
+
+            const candidate = {
+                ...draft,
+                name: readText('stgl-rule-name'),
+                conditions: {
+                    model: readText('stgl-rule-model'),
+                    source: readText('stgl-rule-source'),
+                    character: readText('stgl-rule-character'),
+                    minGroupSize: readNumber('stgl-rule-min-group'),
+                    maxGroupSize: readNumber('stgl-rule-max-group'),
+                    persona: readText('stgl-rule-persona'),
+                    tag: readText('stgl-rule-tag')
+                },
+                locks: {
+                    ...draft.locks,
+                    profile: readText('stgl-rule-profile') || null,
+                    preset: readText('stgl-rule-preset') || null,
+                    template: readText('stgl-rule-template') || null,
+                    parameters,
+                    worldinfo,
+                    qrsets
+                }
+            };
+
+            if (!candidate.name) {
+                toastr.error('Rule name is required');
+                return false;
+            }
+            if (!RuleOps.validate(candidate)) {
+                toastr.error('Invalid regular expression in rule conditions');
+                return false;
+            }
+
+            captured = candidate;
+            return true;
+        }
+    });
+
+    await popup.show();
+    if (!captured) return false;
+
+    storage.saveRule(captured);
+    toastr.success(isNew ? 'Rule added' : 'Rule saved');
+    return true;
 }
 
 function addPopupWrapStyle() {
@@ -2508,7 +6449,18 @@ const customButtons = [];
         await currentPopupInstance.show();
 
         // Initialize cascading priority dropdowns after popup is rendered
-        initializePriorityDropdowns();
+        initializePriorityDropdowns(currentPopupInstance?.dlg);
+
+        // Wire inline Set/Clear buttons for other lock targets
+        initializeOtherTargetButtons(currentPopupInstance?.dlg);
+        initializeNextGenerationButtons(currentPopupInstance?.dlg);
+        initializeParameterButtons(currentPopupInstance?.dlg);
+        initializeNameListButtons(currentPopupInstance?.dlg);
+        initializePersonaButtons(currentPopupInstance?.dlg);
+        initializeTagPrecedenceButtons(currentPopupInstance?.dlg);
+        initializeModelPatternButtons(currentPopupInstance?.dlg);
+        initializePhaseButtons(currentPopupInstance?.dlg);
+        initializeRuleButtons(currentPopupInstance?.dlg);
 
         // Ensure popup buttons can wrap onto a second row using ST utility classes (no custom CSS)
         try {
@@ -2534,7 +6486,10 @@ async function savePreferencesFromPopup(popupElement) {
         // Save checkbox preferences
         const checkboxMappings = {
             'stgl-prefer-individual': 'preferIndividualCharacterInGroup',
-            'stgl-show-notifications': 'showNotifications'
+            'stgl-show-notifications': 'showNotifications',
+            'stgl-inherit-branch': 'inheritChatLockOnBranch',
+            'stgl-inherit-new-chat': 'inheritChatLockOnNewChat',
+            'stgl-embed-card-locks': 'embedLocksInCards'
         };
 
         for (const [checkboxId, settingKey] of Object.entries(checkboxMappings)) {
@@ -2544,25 +6499,42 @@ async function savePreferencesFromPopup(popupElement) {
             }
         }
 
-        // Save priority order (refuse duplicates)
-        const s1 = popupElement.querySelector('#stgl-priority-select-1');
-        const s2 = popupElement.querySelector('#stgl-priority-select-2');
-        const s3 = popupElement.querySelector('#stgl-priority-select-3');
-        if (s1 && s2 && s3) {
-            const all = ['model', 'chat', 'character'];
-            const seq = [s1.value, s2.value, s3.value].filter(v => all.includes(v));
-            const isValid = seq.length === 3 && new Set(seq).size === 3;
-            if (!isValid) {
-                try {
-                    toastr.error('Priority order must be unique (Model, Chat, Character/Group). Please adjust and try again.');
-                } catch (e) {}
-                if (DEBUG_MODE) console.warn('STGL: Refused to save invalid/duplicate priority order:', seq);
-                return false;
+        // Save priority order(s) (refuse duplicates in any editor)
+        const editors = Array.from(popupElement.querySelectorAll('.stgl-priority-editor'));
+        if (editors.length) {
+            const perItem = !!popupElement.querySelector('#stgl-priority-per-item')?.checked;
+            const orders = {};
+            for (const editor of editors) {
+                const item = editor.dataset.item || null;
+                if (!!item !== perItem) continue;
+
+                const seq = Array.from(editor.querySelectorAll('.stgl-priority-select')).map(s => s.value);
+                if (!isValidPriorityOrder(seq)) {
+                    try {
+                        const names = PRIORITY_SOURCES.map(s => formatSourceLabel(s, true)).join(', ');
+                        const where = item ? ` for ${item}` : '';
+                        toastr.error(`Priority order${where} must be unique (${names}). Please adjust and try again.`);
+                    } catch (e) {}
+                    if (DEBUG_MODE) console.warn('STGL: Refused to save invalid/duplicate priority order:', item, seq);
+                    return false;
+                }
+                orders[item || 'shared'] = seq;
+            }
+
+            if (perItem) {
+                storage.updatePreference('priorityOrders', orders);
             } else {
-                storage.updatePreference('priorityOrder', seq);
+                storage.updatePreference('priorityOrder', orders.shared);
+                storage.updatePreference('priorityOrders', {});
             }
         }
 
+        // Save tag precedence (list order, top wins)
+        const tagRows = Array.from(popupElement.querySelectorAll('.stgl-tag-precedence-item'));
+        if (tagRows.length) {
+            storage.updatePreference('tagPriority', tagRows.map(row => row.dataset.tagId));
+        }
+
         // Save auto-apply mode
         const autoApplyRadio = popupElement.querySelector('input[name="stgl-auto-apply-mode"]:checked');
         if (autoApplyRadio) {
@@ -2623,7 +6595,866 @@ function injectMenuButton() {
 }
 
 // ============================================================================
-// SECTION 6: INITIALIZATION & BOOTSTRAP
+// SECTION 6: SLASH COMMANDS
+// ============================================================================
+
+/**
+ * Resolve a slash command dimension argument to a lock target
+ * @returns {string|null} Target key for saveCurrentUILocks/clearLocks, or null if invalid here
+ */
+function resolveSlashDimension(dimension, context) {
+    const { target, error } = resolveLockTargetDimension(dimension, context);
+    if (!target) {
+        toastr.warning(error);
+    }
+    return target;
+}
+
+/**
+ * Parse an optional item argument
+ * @returns {string|null|false} Item name, null if not given, or false if invalid
+ */
+function resolveSlashItem(item) {
+    if (item === undefined || item === null || String(item).trim() === '') return null;
+    const normalized = String(item).trim().toLowerCase();
+    if (!Object.values(LOCKABLE_ITEMS).includes(normalized)) {
+        toastr.warning(`Unknown item "${item}". Use one of: ${Object.values(LOCKABLE_ITEMS).join(', ')}`);
+        return false;
+    }
+    return normalized;
+}
+
+/**
+ * Convert a slash command value for an item; parameter overrides are given as JSON, world info and Quick Reply sets as lists,
+ * personas by name or avatar ID
+ * @returns {*} Item value, or undefined if invalid (a warning is shown)
+ */
+function parseSlashItemValue(item, value) {
+    if (item === LOCKABLE_ITEMS.QUICK_REPLIES) {
+        const names = QuickReplyOps.parse(value);
+        if (names === undefined) toastr.warning('Invalid Quick Reply sets. Use comma-separated set names or a JSON array');
+        return names;
+    }
+    if (item === LOCKABLE_ITEMS.PERSONA) {
+        const personaId = settingsManager?.personaLocker.findPersona(value) ?? null;
+        if (!personaId) toastr.warning(`Persona "${value}" not found`);
+        return personaId ?? undefined;
+    }
+    if (item === LOCKABLE_ITEMS.WORLD_INFO) {
+        const names = WorldInfoOps.parse(value);
+        if (names === undefined) toastr.warning('Invalid world info. Use comma-separated lorebook names or a JSON array');
+        return names;
+    }
+    if (item !== LOCKABLE_ITEMS.PARAMETERS) return value;
+    const overrides = ParameterOps.parse(value);
+    if (overrides === undefined) {
+        toastr.warning(`Invalid parameters. Use JSON like {"temperature": 0.8} with fields: ${Object.keys(PARAMETER_FIELDS).join(', ')}`);
+    }
+    return overrides;
+}
+
+/**
+ * Format resolved locks for the pipe: the single item value, or the full set as JSON
+ */
+function formatLocksForPipe(locks, item) {
+    if (item) {
+        const value = locks?.[item];
+        return value && typeof value === 'object' ? JSON.stringify(value) : String(value ?? '');
+    }
+    return JSON.stringify(locks || {});
+}
+
+/**
+ * Register /stgl-* slash commands
+ */
+function registerSlashCommands() {
+    const dimensionArgument = (isRequired) => SlashCommandNamedArgument.fromProps({
+        name: 'dimension',
+        description: 'lock dimension',
+        typeList: [ARGUMENT_TYPE.STRING],
+        isRequired,
+        enumList: LOCK_TARGET_DIMENSIONS,
+        // tag:<name> and model:<pattern> values are not in the list
+        forceEnum: false,
+    });
+    const itemValueArguments = () => Object.values(LOCKABLE_ITEMS).map(item => SlashCommandNamedArgument.fromProps({
+        name: item,
+        description: item === LOCKABLE_ITEMS.TEMPLATE ? 'template ID or name'
+            : item === LOCKABLE_ITEMS.PARAMETERS ? 'parameter overrides as JSON'
+            : item === LOCKABLE_ITEMS.WORLD_INFO ? 'comma-separated lorebook names, or [] for none'
+            : item === LOCKABLE_ITEMS.PERSONA ? 'persona name or avatar ID'
+            : item === LOCKABLE_ITEMS.QUICK_REPLIES ? 'comma-separated Quick Reply set names, or [] for none' : `${item} name`,
+        typeList: [ARGUMENT_TYPE.STRING],
+        isRequired: false,
+    }));
+    // Named item arguments -> locks; null when a value is invalid
+    const readItemValues = (args) => {
+        const locks = {};
+        for (const item of Object.values(LOCKABLE_ITEMS)) {
+            const text = String(args[item] ?? '').trim();
+            if (!text) continue;
+            const value = parseSlashItemValue(item, text);
+            if (value === undefined) return null;
+            if (value) locks[item] = value;
+        }
+        return locks;
+    };
+    const itemArgument = SlashCommandNamedArgument.fromProps({
+        name: 'item',
+        description: 'lockable item; all items when omitted',
+        typeList: [ARGUMENT_TYPE.STRING],
+        isRequired: false,
+        enumList: Object.values(LOCKABLE_ITEMS),
+    });
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'stgl-apply',
+        callback: async (args) => {
+            if (!settingsManager) return '';
+            const item = resolveSlashItem(args.item);
+            if (item === false) return '';
+
+            if (args.dimension) {
+                const context = settingsManager.chatContext.getCurrent();
+                const target = resolveSlashDimension(args.dimension, context);
+                if (!target) return '';
+                const result = await settingsManager.applyTargetLock(target);
+                updateDisplay();
+                if (!result?.success) return '';
+                return formatLocksForPipe(settingsManager.getLocksForTarget(target, context) || {}, item);
+            }
+
+            const result = await settingsManager.applyLocksForContext();
+            updateDisplay();
+            if (!result?.success) return '';
+            return formatLocksForPipe(settingsManager.getCurrentLocks().locks, item);
+        },
+        returns: 'the applied locks as JSON, or the value of the requested item',
+        namedArgumentList: [dimensionArgument(false), itemArgument],
+        helpString: `
+            <div>
+                Applies generation locks for the current context. With <code>dimension</code>, applies only the lock
+                stored for that dimension instead of the resolved priority cascade.
+            </div>
+            <div>
+                <strong>Example:</strong>
+                <pre><code class="language-stscript">/stgl-apply item=preset | /echo</code></pre>
+            </div>
+        `,
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'stgl-lock',
+        callback: async (args, value) => {
+            if (!settingsManager) return '';
+            const item = resolveSlashItem(args.item);
+            if (item === false) return '';
+
+            const context = settingsManager.chatContext.getCurrent();
+            const target = resolveSlashDimension(args.dimension, context);
+            if (!target) return '';
+
+            const explicitValue = String(value ?? '').trim();
+            if (explicitValue && !item) {
+                toastr.warning('An explicit value requires the item argument');
+                return '';
+            }
+            if (item === LOCKABLE_ITEMS.PARAMETERS && !explicitValue) {
+                toastr.warning('Parameters need a JSON value, e.g. {"temperature": 0.8}');
+                return '';
+            }
+            const itemValue = explicitValue ? parseSlashItemValue(item, explicitValue) : undefined;
+            if (explicitValue && itemValue === undefined) return '';
+
+            const saved = await settingsManager.saveCurrentUILocks(
+                { [target]: true },
+                item ? { items: [item], values: explicitValue ? { [item]: itemValue } : {} } : {}
+            );
+            if (!saved) {
+                toastr.error(`Failed to save ${args.dimension} lock`);
+                return '';
+            }
+
+            settingsManager.chatContext.invalidate();
+            updateDisplay();
+            return formatLocksForPipe(settingsManager.getCurrentLocks().locks, item);
+        },
+        returns: 'the resolved locks as JSON, or the resolved value of the requested item',
+        namedArgumentList: [dimensionArgument(true), itemArgument],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'value to lock instead of the current UI setting (requires item)',
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: false,
+            }),
+        ],
+        helpString: `
+            <div>
+                Saves the current profile, preset and template as a lock for the given dimension.
+                With <code>item</code>, only that item is updated; pass a value to lock something other than the current setting.
+                Parameter overrides are never taken from the UI and need a JSON value.
+                <code>item=worldinfo</code> locks the active lorebooks, or a comma-separated list (<code>[]</code> for none).
+                <code>item=persona</code> locks the active persona, or the one with the given name or avatar ID.
+                <code>item=qrsets</code> locks the enabled Quick Reply sets, or a comma-separated list (<code>[]</code> for none).
+            </div>
+            <div>
+                <strong>Examples:</strong>
+                <ul>
+                    <li><pre><code class="language-stscript">/stgl-lock dimension=chat</code></pre></li>
+                    <li><pre><code class="language-stscript">/stgl-lock dimension=character item=preset My Preset</code></pre></li>
+                    <li><pre><code class="language-stscript">/stgl-lock dimension="model:claude-3-5-sonnet*" item=template Creative</code></pre></li>
+                    <li><pre><code class="language-stscript">/stgl-lock dimension=character item=parameters {"temperature": 0.8, "top_p": 0.95}</code></pre></li>
+                    <li><pre><code class="language-stscript">/stgl-lock dimension=chat item=worldinfo Campaign Lore, Bestiary</code></pre></li>
+                    <li><pre><code class="language-stscript">/stgl-lock dimension=character item=persona Captain Vale</code></pre></li>
+                    <li><pre><code class="language-stscript">/stgl-lock dimension=character item=qrsets Campaign Actions, Dice</code></pre></li>
+                </ul>
+            </div>
+        `,
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'stgl-unlock',
+        callback: async (args) => {
+            if (!settingsManager) return '';
+            const item = resolveSlashItem(args.item);
+            if (item === false) return '';
+
+            const context = settingsManager.chatContext.getCurrent();
+            const target = resolveSlashDimension(args.dimension, context);
+            if (!target) return '';
+
+            await settingsManager.clearLocks({ [target]: true }, item ? { items: [item] } : {});
+
+            settingsManager.chatContext.invalidate();
+            updateDisplay();
+            return formatLocksForPipe(settingsManager.getCurrentLocks().locks, item);
+        },
+        returns: 'the resolved locks as JSON, or the resolved value of the requested item',
+        namedArgumentList: [dimensionArgument(true), itemArgument],
+        helpString: `
+            <div>
+                Clears the lock for the given dimension, or only the given item of it.
+            </div>
+            <div>
+                <strong>Example:</strong>
+                <pre><code class="language-stscript">/stgl-unlock dimension=model item=template</code></pre>
+            </div>
+        `,
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'stgl-with',
+        callback: async (args, closure) => {
+            if (!settingsManager) return '';
+            if (!(closure instanceof SlashCommandClosure)) {
+                toastr.warning('/stgl-with requires a closure');
+                return '';
+            }
+
+            const locks = readItemValues(args);
+            if (!locks) return '';
+            if (!Object.keys(locks).length) {
+                toastr.warning(`/stgl-with needs at least one of: ${Object.values(LOCKABLE_ITEMS).join(', ')}`);
+                return '';
+            }
+
+            try {
+                const result = await settingsManager.withTemporaryLocks(locks, () => closure.execute());
+                return result?.pipe ?? '';
+            } catch (error) {
+                console.error('STGL: Error in /stgl-with:', error);
+                toastr.error(error.message || 'Failed to run with temporary locks');
+                return '';
+            }
+        },
+        returns: 'the pipe result of the closure',
+        namedArgumentList: itemValueArguments(),
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'closure to run under the temporary locks',
+                typeList: [ARGUMENT_TYPE.CLOSURE],
+                isRequired: true,
+            }),
+        ],
+        helpString: `
+            <div>
+                Temporarily switches profile, preset, template, parameters, world info, persona and/or Quick Reply sets, runs the closure, then restores the previous state.
+                Auto-apply is suspended while the closure runs.
+            </div>
+            <div>
+                <strong>Example:</strong>
+                <pre><code class="language-stscript">/stgl-with preset="Summary" template="Summarizer" {: /gen Summarize the story so far | /setvar key=summary :}</code></pre>
+            </div>
+        `,
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'stgl-next',
+        callback: async (args) => {
+            if (!settingsManager) return '';
+
+            if (isTrueBoolean(String(args.clear ?? ''))) {
+                settingsManager.setNextGenerationLocks(null);
+                return '';
+            }
+
+            const locks = readItemValues(args);
+            if (!locks) return '';
+            if (Object.keys(locks).length) {
+                settingsManager.setNextGenerationLocks(locks);
+            }
+            return JSON.stringify(settingsManager.nextGenerationLocks || {});
+        },
+        returns: 'the queued next-generation locks as JSON',
+        namedArgumentList: [
+            ...itemValueArguments(),
+            SlashCommandNamedArgument.fromProps({
+                name: 'clear',
+                description: 'cancel the queued locks',
+                typeList: [ARGUMENT_TYPE.BOOLEAN],
+                defaultValue: 'false',
+                isRequired: false,
+            }),
+        ],
+        helpString: `
+            <div>
+                Queues profile, preset, template, parameters, world info, persona and/or Quick Reply sets for the next generation only. The previous state is restored when it ends.
+                Quiet (background) generations don't use the queue. Without arguments, returns what is queued.
+            </div>
+            <div>
+                <strong>Examples:</strong>
+                <ul>
+                    <li><pre><code class="language-stscript">/stgl-next preset="Creative" template="Storyteller"</code></pre></li>
+                    <li><pre><code class="language-stscript">/stgl-next clear=true</code></pre></li>
+                </ul>
+            </div>
+        `,
+    }));
+
+    // ===== TEMPLATE COMMANDS =====
+
+    const templateArgument = SlashCommandArgument.fromProps({
+        description: 'template ID or name',
+        typeList: [ARGUMENT_TYPE.STRING],
+        isRequired: true,
+        enumProvider: () => Object.values(settingsManager?.storage.getAllTemplates() || {}).map(t => new SlashCommandEnumValue(t.name, t.id)),
+    });
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'stgl-template-list',
+        callback: async () => {
+            const templates = (await stglApi.templates.list())
+                .map(t => ({ id: t.id, name: t.name, description: t.description || '' }));
+            return JSON.stringify(templates);
+        },
+        returns: 'JSON array of { id, name, description }',
+        helpString: `
+            <div>
+                Lists saved prompt templates.
+            </div>
+            <div>
+                <strong>Example:</strong>
+                <pre><code class="language-stscript">/stgl-template-list | /echo</code></pre>
+            </div>
+        `,
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'stgl-template-apply',
+        callback: async (_args, value) => {
+            const template = await stglApi.templates.get(value);
+            if (!template) {
+                toastr.warning(`Template not found: ${value}`);
+                return String(false);
+            }
+            const ok = await stglApi.templates.apply(template.id);
+            return String(!!ok);
+        },
+        returns: 'true if the template was applied, otherwise false',
+        unnamedArgumentList: [templateArgument],
+        helpString: `
+            <div>
+                Applies a prompt template by ID or name.
+            </div>
+            <div>
+                <strong>Example:</strong>
+                <pre><code class="language-stscript">/stgl-template-apply Creative | /if left={{pipe}} rule=eq right=false {: /echo Template missing :}</code></pre>
+            </div>
+        `,
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'stgl-template-create',
+        callback: async (args, value) => {
+            const name = String(value ?? '').trim();
+            if (!name) {
+                toastr.warning('Template name is required');
+                return '';
+            }
+            const template = await stglApi.templates.create({ name, description: String(args.description ?? '').trim() });
+            return template?.id || '';
+        },
+        returns: 'the ID of the new template',
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'description',
+                description: 'template description',
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: false,
+            }),
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'template name',
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: true,
+            }),
+        ],
+        helpString: `
+            <div>
+                Creates a prompt template from the current Prompt Manager prompts and order.
+            </div>
+            <div>
+                <strong>Example:</strong>
+                <pre><code class="language-stscript">/stgl-template-create description="Scene openers" Opening</code></pre>
+            </div>
+        `,
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'stgl-template-delete',
+        callback: async (_args, value) => {
+            const template = await stglApi.templates.get(value);
+            if (!template) {
+                toastr.warning(`Template not found: ${value}`);
+                return String(false);
+            }
+            return String(!!(await stglApi.templates.delete(template.id)));
+        },
+        returns: 'true if the template was deleted, otherwise false',
+        unnamedArgumentList: [templateArgument],
+        helpString: `
+            <div>
+                Deletes a prompt template by ID or name.
+            </div>
+        `,
+    }));
+
+    if (DEBUG_MODE) console.log('STGL: Slash commands registered');
+}
+
+// ============================================================================
+// SECTION 7: MACROS
+// ============================================================================
+
+/**
+ * Read a resolved lock value and its source for the current context
+ * @returns {{ value: *, source: string|null }}
+ */
+function getResolvedLockForMacro(itemName) {
+    if (!settingsManager) return { value: null, source: null };
+    try {
+        const { locks, sources } = settingsManager.getCurrentLocks();
+        return { value: locks[itemName] ?? null, source: sources[itemName] ?? null };
+    } catch (error) {
+        if (DEBUG_MODE) console.warn('STGL: Error resolving locks for macro:', error);
+        return { value: null, source: null };
+    }
+}
+
+/**
+ * Register {{stgl*}} macros exposing the resolved lock state
+ */
+function registerMacros() {
+    const templateName = () => {
+        const { value } = getResolvedLockForMacro(LOCKABLE_ITEMS.TEMPLATE);
+        if (!value) return '';
+        return settingsManager.storage.getTemplate(value)?.name || value;
+    };
+
+    const macros = {
+        stglProfile: [() => getResolvedLockForMacro(LOCKABLE_ITEMS.PROFILE).value || '', 'Connection profile resolved by Generation Locks'],
+        stglProfileSource: [() => getResolvedLockForMacro(LOCKABLE_ITEMS.PROFILE).source || '', 'Dimension the resolved profile lock comes from'],
+        stglPreset: [() => getResolvedLockForMacro(LOCKABLE_ITEMS.PRESET).value || '', 'Preset resolved by Generation Locks'],
+        stglPresetSource: [() => getResolvedLockForMacro(LOCKABLE_ITEMS.PRESET).source || '', 'Dimension the resolved preset lock comes from'],
+        stglTemplate: [templateName, 'Name of the prompt template resolved by Generation Locks'],
+        stglTemplateId: [() => getResolvedLockForMacro(LOCKABLE_ITEMS.TEMPLATE).value || '', 'ID of the prompt template resolved by Generation Locks'],
+        stglTemplateSource: [() => getResolvedLockForMacro(LOCKABLE_ITEMS.TEMPLATE).source || '', 'Dimension the resolved template lock comes from'],
+        stglParameters: [() => {
+            const { value } = getResolvedLockForMacro(LOCKABLE_ITEMS.PARAMETERS);
+            return value ? JSON.stringify(value) : '';
+        }, 'Parameter overrides resolved by Generation Locks, as JSON'],
+        stglParametersSource: [() => getResolvedLockForMacro(LOCKABLE_ITEMS.PARAMETERS).source || '', 'Dimension the resolved parameter overrides come from'],
+        stglWorldInfo: [() => {
+            const { value } = getResolvedLockForMacro(LOCKABLE_ITEMS.WORLD_INFO);
+            return value ? value.join(', ') : '';
+        }, 'Lorebooks locked by Generation Locks, comma-separated'],
+        stglWorldInfoSource: [() => getResolvedLockForMacro(LOCKABLE_ITEMS.WORLD_INFO).source || '', 'Dimension the resolved world info lock comes from'],
+        stglPersona: [() => {
+            const { value } = getResolvedLockForMacro(LOCKABLE_ITEMS.PERSONA);
+            return value ? (settingsManager?.personaLocker.getPersonaName(value) || value) : '';
+        }, 'Persona name locked by Generation Locks'],
+        stglPersonaSource: [() => getResolvedLockForMacro(LOCKABLE_ITEMS.PERSONA).source || '', 'Dimension the resolved persona lock comes from'],
+        stglQuickReplies: [() => {
+            const { value } = getResolvedLockForMacro(LOCKABLE_ITEMS.QUICK_REPLIES);
+            return value ? value.join(', ') : '';
+        }, 'Quick Reply sets locked by Generation Locks, comma-separated'],
+        stglQuickRepliesSource: [() => getResolvedLockForMacro(LOCKABLE_ITEMS.QUICK_REPLIES).source || '', 'Dimension the resolved Quick Reply lock comes from'],
+    };
+
+    for (const [name, [fn, description]] of Object.entries(macros)) {
+        MacrosParser.registerMacro(name, fn, description);
+    }
+
+    if (DEBUG_MODE) console.log('STGL: Macros registered');
+}
+
+// ============================================================================
+// SECTION 8: PUBLIC API
+// ============================================================================
+
+/**
+ * Version of the window.STGL API. Bumped on breaking changes only;
+ * additions keep the same version.
+ */
+const STGL_API_VERSION = 1;
+
+/**
+ * Module-level API instance (initialized in Section 9)
+ */
+let stglApi = null;
+
+/**
+ * Validate a lock payload passed through the public API
+ * @returns {Object} Copy of the payload with parameter overrides normalized
+ * @throws {TypeError} When the payload has unknown items or invalid values
+ */
+function validateApiLocks(locks) {
+    if (!locks || typeof locks !== 'object' || Array.isArray(locks)) {
+        throw new TypeError('STGL: locks must be an object');
+    }
+    const validItems = Object.values(LOCKABLE_ITEMS);
+    const result = {};
+    for (const [item, value] of Object.entries(locks)) {
+        if (!validItems.includes(item)) {
+            throw new TypeError(`STGL: Unknown lock item "${item}". Expected one of: ${validItems.join(', ')}`);
+        }
+        const normalized = normalizeLockValue(item, value);
+        if (normalized === undefined) {
+            if (item === LOCKABLE_ITEMS.PARAMETERS) {
+                throw new TypeError(`STGL: Parameters must be an object of: ${Object.keys(PARAMETER_FIELDS).join(', ')}`);
+            }
+            if (item === LOCKABLE_ITEMS.WORLD_INFO) {
+                throw new TypeError('STGL: World info must be an array of lorebook names or null');
+            }
+            if (item === LOCKABLE_ITEMS.QUICK_REPLIES) {
+                throw new TypeError('STGL: Quick Reply sets must be an array of set names or null');
+            }
+            throw new TypeError(`STGL: Lock value for "${item}" must be a string or null`);
+        }
+        result[item] = normalized;
+    }
+    return result;
+}
+
+/**
+ * Validate a preference update passed through the public API
+ * @throws {TypeError} When the key is unknown or the value has the wrong shape
+ */
+function validateApiPreference(key, value) {
+    const defaults = DEFAULT_SETTINGS.moduleSettings;
+    if (!Object.prototype.hasOwnProperty.call(defaults, key)) {
+        throw new TypeError(`STGL: Unknown preference "${key}". Expected one of: ${Object.keys(defaults).join(', ')}`);
+    }
+    if (typeof defaults[key] === 'boolean' && typeof value !== 'boolean') {
+        throw new TypeError(`STGL: Preference "${key}" must be a boolean`);
+    }
+    if (key === 'tagPriority' && (!Array.isArray(value) || !value.every(v => typeof v === 'string'))) {
+        throw new TypeError('STGL: tagPriority must be an array of tag IDs');
+    }
+    if ((key === 'autoApplyOnContextChange' || key === 'autoApplyOnGenerationStart') && !Object.values(AUTO_APPLY_MODES).includes(value)) {
+        throw new TypeError(`STGL: Preference "${key}" must be one of: ${Object.values(AUTO_APPLY_MODES).join(', ')}`);
+    }
+    if (key === 'priorityOrder' && !isValidPriorityOrder(value)) {
+        throw new TypeError(`STGL: priorityOrder must be a permutation of: ${PRIORITY_SOURCES.join(', ')}`);
+    }
+    if (key === 'priorityOrders') {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            throw new TypeError('STGL: priorityOrders must be an object keyed by item');
+        }
+        for (const [item, order] of Object.entries(value)) {
+            if (!Object.values(LOCKABLE_ITEMS).includes(item)) {
+                throw new TypeError(`STGL: Unknown item "${item}" in priorityOrders. Use one of: ${Object.values(LOCKABLE_ITEMS).join(', ')}`);
+            }
+            if (order !== null && !isValidPriorityOrder(order)) {
+                throw new TypeError(`STGL: priorityOrders.${item} must be null or a permutation of: ${PRIORITY_SOURCES.join(', ')}`);
+            }
+        }
+    }
+}
+
+/**
+ * Build the public window.STGL API on top of the settings manager.
+ * All methods return promises and hand out copies, never live storage objects.
+ */
+function createPublicApi(manager) {
+    const { storage, templateLocker } = manager;
+    const clone = (value) => lodash.cloneDeep(value);
+
+    const requireTarget = (dimension) => {
+        const { target, error } = resolveLockTargetDimension(dimension, manager.chatContext.getCurrent());
+        if (!target) throw new TypeError(`STGL: ${error}`);
+        return target;
+    };
+
+    const requireItems = (items) => {
+        if (items === undefined || items === null) return null;
+        const list = Array.isArray(items) ? items : [items];
+        if (!list.length) throw new TypeError('STGL: items must name at least one lock item');
+        validateApiLocks(Object.fromEntries(list.map(item => [item, null])));
+        return list;
+    };
+
+    const templates = {
+        async list() {
+            return clone(Object.values(storage.getAllTemplates()));
+        },
+        async get(idOrName) {
+            return clone(TemplateOps.findByIdOrName(storage.getAllTemplates(), idOrName));
+        },
+        async create({ name, description = '', includePrompts = null } = {}) {
+            if (!name || typeof name !== 'string' || !name.trim()) {
+                throw new TypeError('STGL: Template name is required');
+            }
+            if (includePrompts !== null && !Array.isArray(includePrompts)) {
+                throw new TypeError('STGL: includePrompts must be an array of prompt identifiers or null');
+            }
+            const template = TemplateOps.createFromCurrent({ name: name.trim(), description: String(description ?? ''), includePrompts });
+            storage.saveTemplate(template);
+            return clone(template);
+        },
+        async update(templateId, updates) {
+            const template = storage.getTemplate(templateId);
+            if (!template) {
+                if (DEBUG_MODE) console.warn('STGL: Cannot update template - not found:', templateId);
+                return false;
+            }
+            if (!updates || typeof updates !== 'object') {
+                throw new TypeError('STGL: Template updates must be an object');
+            }
+            const { id: _ignoredId, ...rest } = updates;
+            const merged = { ...clone(template), ...clone(rest), id: template.id, updatedAt: new Date().toISOString() };
+            if (!TemplateOps.validate(merged)) {
+                throw new TypeError('STGL: Invalid template (requires id, name and prompts)');
+            }
+            storage.saveTemplate(merged);
+            return true;
+        },
+        async save(template) {
+            if (!TemplateOps.validate(template)) {
+                throw new TypeError('STGL: Invalid template (requires id, name and prompts)');
+            }
+            storage.saveTemplate(clone(template));
+            return true;
+        },
+        async apply(idOrName) {
+            // Use TemplateLocker for race condition protection
+            const template = TemplateOps.findByIdOrName(storage.getAllTemplates(), idOrName);
+            if (!template) return false;
+            const ok = await templateLocker.applyTemplate(template.id, manager.chatContext.getCurrent().primaryId);
+            updateDisplay();
+            return ok;
+        },
+        async delete(templateId) {
+            return storage.deleteTemplate(templateId);
+        }
+    };
+
+    const rules = {
+        async list() {
+            return clone(storage.getRules());
+        },
+        async get(ruleId) {
+            return clone(storage.getRule(ruleId));
+        },
+        async save(rule) {
+            if (!rule || typeof rule !== 'object') {
+                throw new TypeError('STGL: Rule must be an object');
+            }
+            const base = RuleOps.createEmpty();
+            const candidate = {
+                ...base,
+                ...clone(rule),
+                id: rule.id || base.id,
+                conditions: { ...base.conditions, ...(rule.conditions || {}) },
+                locks: { ...base.locks, ...(rule.locks || {}) }
+            };
+            candidate.locks = validateApiLocks(candidate.locks);
+            if (!RuleOps.validate(candidate)) {
+                throw new TypeError('STGL: Invalid rule (check the regular expressions in its conditions)');
+            }
+            storage.saveRule(candidate);
+            manager.chatContext.invalidate();
+            updateDisplay();
+            return clone(candidate);
+        },
+        async delete(ruleId) {
+            const deleted = storage.deleteRule(ruleId);
+            updateDisplay();
+            return deleted;
+        }
+    };
+
+    const phases = {
+        async list() {
+            return clone(storage.getPhases());
+        },
+        async get(phaseId) {
+            return clone(storage.getPhase(phaseId));
+        },
+        async save(phase) {
+            if (!phase || typeof phase !== 'object') {
+                throw new TypeError('STGL: Phase must be an object');
+            }
+            const base = PhaseOps.createEmpty();
+            const candidate = {
+                ...base,
+                ...clone(phase),
+                id: phase.id || base.id,
+                locks: restrictLocksToDimension(SETTING_SOURCES.PHASE, { ...base.locks, ...(phase.locks || {}) })
+            };
+            candidate.locks = validateApiLocks(candidate.locks);
+            if (!PhaseOps.validate(candidate)) {
+                throw new TypeError('STGL: Invalid phase (fromMessage must be a whole number of 0 or more)');
+            }
+            storage.savePhase(candidate);
+            manager.chatContext.invalidate();
+            updateDisplay();
+            return clone(candidate);
+        },
+        async delete(phaseId) {
+            const deleted = storage.deletePhase(phaseId);
+            updateDisplay();
+            return deleted;
+        }
+    };
+
+    const nextGeneration = {
+        async get() {
+            return clone(manager.nextGenerationLocks);
+        },
+        async set(locks) {
+            return manager.setNextGenerationLocks(validateApiLocks(clone(locks)));
+        },
+        async clear() {
+            manager.setNextGenerationLocks(null);
+            return true;
+        }
+    };
+
+    const preferences = {
+        async get() {
+            return clone(storage.getPreferences());
+        },
+        async set(key, value) {
+            validateApiPreference(key, value);
+            storage.updatePreference(key, clone(value));
+            updateDisplay();
+            return true;
+        }
+    };
+
+    return Object.freeze({
+        version: STGL_API_VERSION,
+        events: Object.freeze({ ...STGL_EVENTS }),
+        dimensions: Object.freeze([...LOCK_TARGET_DIMENSIONS]),
+        items: Object.freeze(Object.values(LOCKABLE_ITEMS)),
+
+        /**
+         * Resolve locks for the current context
+         * @returns {Promise<{ locks: Object, sources: Object }>}
+         */
+        async resolve() {
+            return clone(manager.getCurrentLocks());
+        },
+
+        /**
+         * Explain resolution: the cascade and every dimension's candidate value per item
+         * @returns {Promise<{ context: Object, cascade: string[], items: Object, conflicts: Array }>}
+         */
+        async explain() {
+            const context = manager.chatContext.getCurrent();
+            const prefs = storage.getPreferences();
+            const explanation = manager.priorityResolver.explain(context, prefs);
+            return clone({
+                context,
+                ...explanation,
+                conflicts: manager.priorityResolver.detectConflicts(context, prefs)
+            });
+        },
+
+        /**
+         * Apply resolved locks for the current context
+         * @returns {Promise<{ success: boolean, changed: boolean }>}
+         */
+        async apply() {
+            const result = await manager.applyLocksForContext();
+            updateDisplay();
+            return result || { success: false, changed: false };
+        },
+
+        /**
+         * Get the stored lock for a dimension in the current context
+         * @param {string} dimension - One of STGL.dimensions
+         * @returns {Promise<Object|null>}
+         */
+        async getLock(dimension) {
+            return clone(manager.getLocksForTarget(requireTarget(dimension)));
+        },
+
+        /**
+         * Merge items into the stored lock for a dimension in the current context
+         * @param {string} dimension - One of STGL.dimensions
+         * @param {Object} locks - Partial { profile, preset, template, parameters, worldinfo, persona, qrsets }; null clears an item
+         * @returns {Promise<boolean>} Whether the lock was saved
+         * @throws {TypeError} When the payload is empty or invalid
+         */
+        async setLock(dimension, locks) {
+            const target = requireTarget(dimension);
+            const values = validateApiLocks(locks);
+            // An empty item list means "save everything" to saveCurrentUILocks
+            if (!Object.keys(values).length) throw new TypeError('STGL: locks must contain at least one item');
+            const saved = await manager.saveCurrentUILocks({ [target]: true }, { items: Object.keys(values), values });
+            manager.chatContext.invalidate();
+            updateDisplay();
+            return saved;
+        },
+
+        /**
+         * Clear the stored lock for a dimension, or only some of its items
+         * @param {string} dimension - One of STGL.dimensions
+         * @param {string|string[]} [items] - Items to clear; the whole lock when omitted
+         * @returns {Promise<boolean>} Whether anything was cleared
+         */
+        async clearLock(dimension, items) {
+            const target = requireTarget(dimension);
+            const itemList = requireItems(items);
+            const cleared = await manager.clearLocks({ [target]: true }, itemList ? { items: itemList } : {});
+            manager.chatContext.invalidate();
+            updateDisplay();
+            return cleared;
+        },
+
+        templates: Object.freeze(templates),
+        rules: Object.freeze(rules),
+        phases: Object.freeze(phases),
+        nextGeneration: Object.freeze(nextGeneration),
+        preferences: Object.freeze(preferences)
+    });
+}
+
+// ============================================================================
+// SECTION 9: INITIALIZATION & BOOTSTRAP
 // ============================================================================
 
 /**
@@ -2698,6 +7529,10 @@ async function init() {
         const profileLocker = new ProfileLocker();
         const presetLocker = new PresetLocker();
         const templateLocker = new TemplateLocker(storage);
+        const parameterLocker = new ParameterLocker(storage);
+        const worldInfoLocker = new WorldInfoLocker();
+        const personaLocker = new PersonaLocker();
+        const quickReplyLocker = new QuickReplyLocker();
 
         // Initialize settings manager
         settingsManager = new SettingsManager(
@@ -2706,12 +7541,22 @@ async function init() {
             priorityResolver,
             profileLocker,
             presetLocker,
-            templateLocker
+            templateLocker,
+            parameterLocker,
+            worldInfoLocker,
+            personaLocker,
+            quickReplyLocker
         );
+        lastChatPhase = readChatPhase();
+        takeNewCharacterAvatars();
 
         // Register event handlers
         registerAllEventHandlers();
 
+        // Register slash commands and macros
+        registerSlashCommands();
+        registerMacros();
+
         // Inject UI
         injectMenuButton();
         injectPromptTemplateManagerButton();
@@ -2726,53 +7571,9 @@ async function init() {
             console.log('STGL: Hooked into promptManager.render for UI updates.');
         }
 
-        // Expose template manager globally (like CCPM)
-        window.promptTemplateManager = {
-            listTemplates() {
-                return Object.values(storage.getExtensionSettings().templates || {});
-            },
-            getTemplate(id) {
-                return storage.getExtensionSettings().templates?.[id] || null;
-            },
-            createFromCurrent(name, description, includePrompts = null) {
-                const template = TemplateOps.createFromCurrent({ name, description, includePrompts });
-                const settings = storage.getExtensionSettings();
-                if (!settings.templates) settings.templates = {};
-                settings.templates[template.id] = template;
-                storage.saveExtensionSettings();
-                return template;
-            },
-            updateTemplate(templateId, updates) {
-                const template = storage.getTemplate(templateId);
-                if (!template) {
-                    if (DEBUG_MODE) console.warn('STGL: Cannot update template - not found:', templateId);
-                    return false;
-                }
-                Object.assign(template, updates, { updatedAt: new Date().toISOString() });
-                storage.saveTemplate(template);
-                return true;
-            },
-            saveTemplate(template) {
-                storage.saveTemplate(template);
-            },
-            async applyTemplate(templateId) {
-                // Use TemplateLocker for race condition protection
-                const currentContext = new ChatContext().getCurrent();
-                return await templateLocker.applyTemplate(templateId, currentContext.primaryId);
-            },
-            deleteTemplate(id) {
-                const settings = storage.getExtensionSettings();
-                if (settings.templates?.[id]) {
-                    delete settings.templates[id];
-                    storage.saveExtensionSettings();
-                    return true;
-                }
-                return false;
-            }
-        };
-
-        // Expose settingsManager globally for promptManager.js to access
-        window.stglSettingsManager = settingsManager;
+        // Expose the public API for other extensions and promptManager.js
+        stglApi = createPublicApi(settingsManager);
+        window.STGL = stglApi;
 
         // Initial context check
         settingsManager.onContextChanged();
@@ -137,7 +137,7 @@ async function renderTemplateList() {
     const listDiv = document.getElementById('stgl-template-list');
     if (!listDiv) return;
 
-    const templates = window.promptTemplateManager.listTemplates();
+    const templates = await window.STGL.templates.list();
 
     if (templates.length === 0) {
         listDiv.innerHTML = `
@@ -319,11 +319,11 @@ async function showCreateTemplateDialog() {
     }
 
     try {
-        const template = window.promptTemplateManager.createFromCurrent(
-            capturedData.name,
-            capturedData.description,
-            capturedData.selectedPrompts
-        );
+        await window.STGL.templates.create({
+            name: capturedData.name,
+            description: capturedData.description,
+            includePrompts: capturedData.selectedPrompts
+        });
         toastr.success('Template created successfully');
         await renderTemplateList();
     } catch (error) {
@@ -335,7 +335,7 @@ async function showCreateTemplateDialog() {
  * Edit template name/description
  */
 window.stglEditTemplate = async function(id) {
-    const template = window.promptTemplateManager.getTemplate(id);
+    const template = await window.STGL.templates.get(id);
     if (!template) {
         toastr.error('Template not found');
         return;
@@ -372,10 +372,15 @@ window.stglEditTemplate = async function(id) {
         }
 
         // Update template using the central API
-        window.promptTemplateManager.updateTemplate(template.id, {
-            name: name,
-            description: description
-        });
+        try {
+            await window.STGL.templates.update(template.id, {
+                name: name,
+                description: description
+            });
+        } catch (error) {
+            toastr.error('Failed to update template: ' + error.message);
+            return;
+        }
 
         toastr.success('Template updated');
 
@@ -391,7 +396,7 @@ window.stglEditTemplate = async function(id) {
  * Delete template
  */
 window.stglDeleteTemplate = async function(id) {
-    const template = window.promptTemplateManager.getTemplate(id);
+    const template = await window.STGL.templates.get(id);
     if (!template) {
         toastr.error('Template not found');
         return;
@@ -414,7 +419,7 @@ window.stglDeleteTemplate = async function(id) {
     });
 
     if (result === POPUP_RESULT.AFFIRMATIVE) {
-        if (window.promptTemplateManager.deleteTemplate(id)) {
+        if (await window.STGL.templates.delete(id)) {
             toastr.success('Template deleted');
             await renderTemplateList();
         } else {
@@ -428,7 +433,7 @@ window.stglDeleteTemplate = async function(id) {
  */
 window.stglApplyTemplate = async function(id) {
     try {
-        const ok = await window.promptTemplateManager.applyTemplate(id);
+        const ok = await window.STGL.templates.apply(id);
         if (ok) {
             toastr.success('Template applied successfully!');
             if (mainPopup) {
@@ -447,7 +452,7 @@ window.stglApplyTemplate = async function(id) {
  * View/edit prompts in template
  */
 window.stglViewPrompts = async function(templateId) {
-    const template = window.promptTemplateManager.getTemplate(templateId);
+    const template = await window.STGL.templates.get(templateId);
     if (!template) {
         toastr.error('Template not found');
         return;
@@ -607,9 +612,14 @@ window.stglViewPrompts = async function(templateId) {
                 });
 
                 // Update template's promptOrder
-                window.promptTemplateManager.updateTemplate(templateId, {
-                    promptOrder: newOrder
-                });
+                try {
+                    await window.STGL.templates.update(templateId, {
+                        promptOrder: newOrder
+                    });
+                } catch (error) {
+                    toastr.error('Failed to save prompt order: ' + error.message);
+                    return false;
+                }
 
                 toastr.success('Prompt order saved');
                 return true;
@@ -626,7 +636,7 @@ window.stglViewPrompts = async function(templateId) {
  * This uses a drawer UI pattern like SillyTavern's base prompt manager.
  */
 async function stglOpenEditDrawer(templateId, promptIdentifier) {
-    const template = window.promptTemplateManager.getTemplate(templateId);
+    const template = await window.STGL.templates.get(templateId);
     const prompt = template?.prompts[promptIdentifier];
 
     if (!prompt) {
@@ -722,7 +732,7 @@ async function stglOpenEditDrawer(templateId, promptIdentifier) {
 
     document.getElementById('stgl-drawer-cancel-btn').addEventListener('click', closeDrawer);
 
-    document.getElementById('stgl-drawer-save-btn').addEventListener('click', () => {
+    document.getElementById('stgl-drawer-save-btn').addEventListener('click', async () => {
         // Capture form data
         const savedData = {
             name: masterForm.querySelector('#completion_prompt_manager_popup_entry_form_name').value,
@@ -737,7 +747,12 @@ async function stglOpenEditDrawer(templateId, promptIdentifier) {
 
         // Update the prompt in the template
         Object.assign(template.prompts[promptIdentifier], savedData);
-        window.promptTemplateManager.saveTemplate(template);
+        try {
+            await window.STGL.templates.save(template);
+        } catch (error) {
+            toastr.error('Failed to update prompt: ' + error.message);
+            return;
+        }
         toastr.success('Prompt updated in template');
 
         closeDrawer();
@@ -764,8 +779,8 @@ function stglHandleEditClick(templateId, promptIdentifier) {
  * Keeps ST look-and-feel by toggling the main drawer-content with "openDrawer"
  * and activating the "edit" section. Adds a "Save to Template" control row.
  */
-function stglOpenInSTDrawer(templateId, promptIdentifier) {
-    const template = window.promptTemplateManager.getTemplate(templateId);
+async function stglOpenInSTDrawer(templateId, promptIdentifier) {
+    const template = await window.STGL.templates.get(templateId);
     const prompt = template?.prompts?.[promptIdentifier];
     if (!template || !prompt) {
         toastr.error('Prompt not found in template.');
@@ -864,7 +879,7 @@ function stglOpenInSTDrawer(templateId, promptIdentifier) {
         // Leave the ST drawer open; user can close it normally
     });
 
-    controls.querySelector('#stgl-stdrawer-save')?.addEventListener('click', () => {
+    controls.querySelector('#stgl-stdrawer-save')?.addEventListener('click', async () => {
         const savedData = {
             name: /** @type {HTMLInputElement} */(editSection.querySelector('#completion_prompt_manager_popup_entry_form_name'))?.value ?? prompt.name,
             role: /** @type {HTMLSelectElement} */(editSection.querySelector('#completion_prompt_manager_popup_entry_form_role'))?.value ?? prompt.role,
@@ -878,10 +893,11 @@ function stglOpenInSTDrawer(templateId, promptIdentifier) {
 
         Object.assign(template.prompts[promptIdentifier], savedData);
 
-        if (window.promptTemplateManager?.saveTemplate) {
-            window.promptTemplateManager.saveTemplate(template);
-        } else if (window.promptTemplateManager?.updateTemplate) {
-            window.promptTemplateManager.updateTemplate(template.id, { prompts: template.prompts });
+        try {
+            await window.STGL.templates.save(template);
+        } catch (error) {
+            toastr.error('Failed to update prompt: ' + error.message);
+            return;
         }
 
         toastr.success('Prompt updated in template');
@@ -895,7 +911,7 @@ function stglOpenInSTDrawer(templateId, promptIdentifier) {
  * Reuses the Prompt Manager master form (#completion_prompt_manager_popup_edit) for full field coverage.
  */
 async function stglOpenFullEditor(templateId, promptIdentifier) {
-    const template = window.promptTemplateManager.getTemplate(templateId);
+    const template = await window.STGL.templates.get(templateId);
     const prompt = template?.prompts[promptIdentifier];
     const masterForm = document.getElementById('completion_prompt_manager_popup_edit');
 
@@ -978,7 +994,7 @@ async function stglOpenFullEditor(templateId, promptIdentifier) {
 
             if (forbidOverridesField) forbidOverridesField.checked = prompt.forbid_overrides ?? false;
         },
-        onClosing: (p) => {
+        onClosing: async (p) => {
             // If user clicked Save, capture and persist
             if (p.result === POPUP_RESULT.AFFIRMATIVE) {
                 const savedData = {
@@ -994,10 +1010,11 @@ async function stglOpenFullEditor(templateId, promptIdentifier) {
 
                 Object.assign(template.prompts[promptIdentifier], savedData);
 
-                if (window.promptTemplateManager?.saveTemplate) {
-                    window.promptTemplateManager.saveTemplate(template);
-                } else if (window.promptTemplateManager?.updateTemplate) {
-                    window.promptTemplateManager.updateTemplate(template.id, { prompts: template.prompts });
+                try {
+                    await window.STGL.templates.save(template);
+                } catch (error) {
+                    toastr.error('Failed to update prompt: ' + error.message);
+                    return false;
                 }
 
                 toastr.success('Prompt updated in template');
@@ -1021,7 +1038,7 @@ async function stglOpenFullEditor(templateId, promptIdentifier) {
  * Fallback edit popup (no inline CSS, uses existing utility classes)
  */
 async function stglOpenEditPopup(templateId, promptIdentifier) {
-    const template = window.promptTemplateManager.getTemplate(templateId);
+    const template = await window.STGL.templates.get(templateId);
     const prompt = template?.prompts[promptIdentifier];
 
     if (!template || !prompt) {
@@ -1061,7 +1078,7 @@ async function stglOpenEditPopup(templateId, promptIdentifier) {
             /** @type {HTMLSelectElement} */(wrapper.querySelector('#stgl-edit-popup-role')).value = prompt.role || 'system';
             /** @type {HTMLTextAreaElement} */(wrapper.querySelector('#stgl-edit-popup-content')).value = prompt.content || '';
         },
-        onClosing: (p) => {
+        onClosing: async (p) => {
             if (p.result === POPUP_RESULT.AFFIRMATIVE) {
                 const name = /** @type {HTMLInputElement} */(wrapper.querySelector('#stgl-edit-popup-name')).value;
                 const role = /** @type {HTMLSelectElement} */(wrapper.querySelector('#stgl-edit-popup-role')).value;
@@ -1070,10 +1087,11 @@ async function stglOpenEditPopup(templateId, promptIdentifier) {
                 Object.assign(template.prompts[promptIdentifier], { name, role, content });
 
                 // Persist via the central API (keep parity with existing drawer save)
-                if (window.promptTemplateManager?.saveTemplate) {
-                    window.promptTemplateManager.saveTemplate(template);
-                } else if (window.promptTemplateManager?.updateTemplate) {
-                    window.promptTemplateManager.updateTemplate(template.id, { prompts: template.prompts });
+                try {
+                    await window.STGL.templates.save(template);
+                } catch (error) {
+                    toastr.error('Failed to update prompt: ' + error.message);
+                    return false;
                 }
 
                 toastr.success('Prompt updated in template');
@@ -1091,7 +1109,7 @@ async function stglOpenEditPopup(templateId, promptIdentifier) {
  * Lock template to character/model/chat
  */
 window.stglLockTemplate = async function(templateId) {
-    const template = window.promptTemplateManager.getTemplate(templateId);
+    const template = await window.STGL.templates.get(templateId);
     if (!template) {
         toastr.error('Template not found');
         return;
@@ -1157,56 +1175,21 @@ window.stglLockTemplate = async function(templateId) {
  * Lock template to a specific context dimension
  */
 async function lockTemplateToContext(templateId, dimension) {
-    // Access STGL's storage and context via window API
-    if (!window.stglSettingsManager) {
+    if (!window.STGL) {
         toastr.error('STGL not initialized');
         return false;
     }
 
     try {
-        const context = window.stglSettingsManager.chatContext.getCurrent();
-        const storage = window.stglSettingsManager.storage;
-
-        // Get existing lock or create new one with only template
-        let existingLock = null;
-        let key = null;
-
-        if (dimension === 'character') {
-            if (context.isGroupChat) {
-                key = context.groupId;
-                existingLock = storage.getGroupLock(key);
-            } else {
-                key = context.characterName;
-                existingLock = storage.getCharacterLock(key);
-            }
-        } else if (dimension === 'chat') {
-            existingLock = storage.getChatLock();
-        } else if (dimension === 'model') {
-            key = context.modelName;
-            existingLock = storage.getModelLock(key);
+        // Merges the template into the existing lock for the dimension
+        const saved = await window.STGL.setLock(dimension, { template: templateId });
+        if (!saved) {
+            toastr.error('Failed to lock template');
+            return false;
         }
 
-        // Merge template into existing lock or create new
-        const newLock = existingLock
-            ? { ...existingLock, template: templateId }
-            : { profile: null, preset: null, template: templateId };
-
-        // Save the lock
-        if (dimension === 'character') {
-            if (context.isGroupChat) {
-                await storage.setGroupLock(key, newLock);
-                toastr.success('Template locked to group');
-            } else {
-                storage.setCharacterLock(key, newLock);
-                toastr.success('Template locked to character');
-            }
-        } else if (dimension === 'chat') {
-            storage.setChatLock(newLock);
-            toastr.success('Template locked to chat');
-        } else if (dimension === 'model') {
-            storage.setModelLock(key, newLock);
-            toastr.success('Template locked to model');
-        }
+        const labels = { character: 'character/group', chat: 'chat', model: 'model' };
+        toastr.success(`Template locked to ${labels[dimension] || dimension}`);
 
         await renderTemplateList();
         return true;
@@ -1238,7 +1221,7 @@ async function importTemplate() {
             }
 
             // Save imported template using the central API
-            window.promptTemplateManager.saveTemplate(data);
+            await window.STGL.templates.save(data);
 
             toastr.success('Template imported successfully');
             await renderTemplateList();
@@ -1253,8 +1236,8 @@ async function importTemplate() {
 /**
  * Export all templates to JSON
  */
-function exportAllTemplates() {
-    const templates = window.promptTemplateManager.listTemplates();
+async function exportAllTemplates() {
+    const templates = await window.STGL.templates.list();
 
     if (templates.length === 0) {
         toastr.warning('No templates to export');